@@ -195,7 +195,9 @@ function buildJapanesePrompt(result, { attempt, previousText } = {}) {
         yearPillarYearUsed: used.yearPillarYearUsed,
         yearBoundaryCheck: used.yearBoundaryCheck || null,
         monthBoundaryCheck: used.monthBoundaryCheck || null,
+        dayBoundaryCheck: used.dayBoundaryCheck || null,
       },
+      boundaryAmbiguity: meta.boundaryAmbiguity || null,
       place: {
         pref: place.pref,
         longitude: place.longitude,
@@ -231,6 +233,7 @@ function buildJapanesePrompt(result, { attempt, previousText } = {}) {
 - 境界の説明は、単なる時刻の羅列で終わらせず、
   「境界の直前/直後は性質が混ざる」「境界付近は出方が揺れやすい」など“境界生まれ”の意味を鑑定語として説明する。
 - monthBoundaryCheck に prevBoundary/nextBoundary があれば、前後の節名を文章に入れてよい（節名は表示OK）。
+- boundaryAmbiguity.ambiguous が true なら、alternatives の命式（どの柱が変わるか）にも触れ、両方の読みを比べて説明する。
 
 【構成（必ずこの順 / 見出しは固定）】
 # 四柱推命鑑定結果
@@ -274,8 +277,11 @@ function buildBoundaryNarrative({ typeLabel, boundary, check, tieBreak, precisio
   const sBefore = check.standardIsBeforeRisshun ?? check.standardIsBeforeMonthBoundary;
   const uBefore = check.usedIsBeforeRisshun ?? check.usedIsBeforeMonthBoundary;
 
-  const bName = boundary.name || "（不明）";
-  const bTime = boundary.timeJstSec || boundary.timeJst || "（不明）";
+  // 柱に使った境界（Magic日付固定なら節入り日）と、その前後判定
+  const pillarBoundary = check.pillarBoundary || boundary;
+  const bName = pillarBoundary.name || "（不明）";
+  const bTime = pillarBoundary.timeJstSec || pillarBoundary.timeJst || "（不明）";
+  const astroTime = check.boundaryTimeJstSec || check.boundaryTimeJst || "（不明）";
 
   const tieNote =
     precision === "second"
@@ -285,21 +291,43 @@ function buildBoundaryNarrative({ typeLabel, boundary, check, tieBreak, precisio
   const stdT = check.standardTimeJstSec || check.standardTimeJst || "（不明）";
   const usedT = check.usedTimeJstSec || check.usedTimeJst || "（不明）";
 
-  return `${typeLabel}の境界は「${bName}（${bTime}）」です。標準時(${stdT})は境界の${
-    sBefore ? "前" : "後"
-  }、補正後(${usedT})も境界の${uBefore ? "前" : "後"}判定です。${tieNote}`.trim();
+  return `${typeLabel}の境界は「${bName}（${bTime}）」です。${pillarJudgement(check, stdT)}${astroNote(
+    astroTime,
+    stdT,
+    usedT,
+    sBefore,
+    uBefore
+  )}${tieNote}`.trim();
+}
+
+// 柱の判定：pillarBoundary があればその前後（無い旧結果は天文計算の前後で代用）
+function pillarJudgement(check, stdT) {
+  const before =
+    check.pillarBoundary?.standardIsBefore ??
+    check.standardIsBeforeRisshun ??
+    check.standardIsBeforeMonthBoundary;
+  return `標準時(${stdT})は境界の${before ? "前" : "後"}として柱を出しています。`;
+}
+
+function astroNote(astroTime, stdT, usedT, sBefore, uBefore) {
+  return `天文計算の節入り（${astroTime}）に対しては、標準時(${stdT})は${sBefore ? "前" : "後"}、補正後(${usedT})は${
+    uBefore ? "前" : "後"
+  }です。`;
 }
 
 function buildMonthBoundaryNarrative({ boundary, check, tieBreak, precision }) {
   if (!boundary || !check) return `月の節境界情報は取得できませんでした。`;
 
-  const bName = check.boundaryName || boundary.name || "（不明）";
+  // 柱に使った規則で表した、チェック対象の節（Magic日付固定なら節入り日）
+  const pillarBoundary = check.pillarBoundary || {};
+  const bName = pillarBoundary.name || check.boundaryName || boundary.name || "（不明）";
   const bTime =
+    pillarBoundary.timeJstSec ||
+    pillarBoundary.timeJst ||
     check.boundaryTimeJstSec ||
     check.boundaryTimeJst ||
-    boundary.timeJstSec ||
-    boundary.timeJst ||
     "（不明）";
+  const astroTime = check.boundaryTimeJstSec || check.boundaryTimeJst || "（不明）";
 
   const sBefore = check.standardIsBeforeMonthBoundary;
   const uBefore = check.usedIsBeforeMonthBoundary;
@@ -321,11 +349,13 @@ function buildMonthBoundaryNarrative({ boundary, check, tieBreak, precision }) {
 
   const around = [prev, next].filter(Boolean).join(" / ");
 
-  return `月の節境界は「${bName}（${bTime}）」です。標準時(${stdT})は境界の${
-    sBefore ? "前" : "後"
-  }、補正後(${usedT})も境界の${uBefore ? "前" : "後"}判定です。${
-    around ? `（${around}）` : ""
-  }${tieNote}`.trim();
+  return `月の節境界は「${bName}（${bTime}）」です。${pillarJudgement(check, stdT)}${astroNote(
+    astroTime,
+    stdT,
+    usedT,
+    sBefore,
+    uBefore
+  )}${around ? `（${around}）` : ""}${tieNote}`.trim();
 }
 
 function pad2(n) {
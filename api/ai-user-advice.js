@@ -236,7 +236,7 @@ function simplifyLuck(luck) {
     startAgeYears: luck.startAgeYears ?? null,
     startAgeDetail: luck.startAgeDetail || null,
     current: luck.current || null,
-    dayun: Array.isArray(luck.dayun) ? luck.dayun.slice(0, 10) : null,
+    dayun: Array.isArray(luck.dayun) ? luck.dayun.slice(0, 11) : null, // 立運前 + 大運10本
     nenun: Array.isArray(luck.nenun) ? luck.nenun.slice(0, 13) : null,
     currentDayun: luck.currentDayun || null,
     currentNenun: luck.currentNenun || null,
@@ -0,0 +1,339 @@
+// /api/calendar.js
+/**
+ * 干支暦API（万年暦）
+ *
+ * - 指定期間の各日について 年柱・月柱・日柱 を返す
+ * - 24節気の始まる日には節気名と節入り時刻（JST・lib/sekki.js）を付ける
+ * - format="ics" で iCalendar を返す（カレンダーアプリから購読できるよう GET のクエリでも受け付ける）
+ *
+ * 境界（/api/shichusuimei と同じ考え方）：
+ * - 既定 sekkiBoundaryMode="magic_date"：年柱は立春「日」（2/4）、月柱は節入り「日」の固定表
+ * - sekkiBoundaryMode="sekki_time"：実際の節入り時刻の JST 日付で切替（節入り日は終日新しい月 = precision "day"）
+ * - 日柱：0:00 日替わり（JST）
+ * - 節入り時刻の計算法：sekkiEphemeris="noaa"（既定）/ "vsop87"（高精度）
+ *
+ * I/O:
+ * - 入力: { start: "YYYY-MM-DD", end?: "YYYY-MM-DD", format?: "json"|"ics", sekkiBoundaryMode?, sekkiEphemeris? }
+ *   （POST の body、または GET のクエリ。start 省略時は今日から1年分）
+ * - 出力(json): { ok:true, input, meta, days: [{ date, pillars: { year, month, day }, sekki }] }
+ * - 出力(ics): text/calendar（各日の干支 = 終日予定、節入り = 時刻付き予定）
+ */
+
+import { SEKKI_EPHEMERIS, buildJie24Utc, formatJst, formatJstSec } from "../lib/sekki.js";
+import {
+  MONTH_BOUNDARIES,
+  calcDayPillar24,
+  calcYearPillar,
+  getMonthBoundaryByDate,
+  monthStemFromYearStem,
+} from "../lib/kanshi.js";
+
+const CALENDAR_MAX_DAYS = 731;
+const CALENDAR_DEFAULT_DAYS = 365;
+
+export default async function handler(req, res) {
+  try {
+    res.setHeader("Content-Type", "application/json; charset=utf-8");
+    res.setHeader("Access-Control-Allow-Origin", "*");
+    res.setHeader("Access-Control-Allow-Methods", "POST,OPTIONS,GET");
+    res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+
+    if (req.method === "OPTIONS") {
+      res.statusCode = 200;
+      return res.end(JSON.stringify({ ok: true }));
+    }
+
+    const query = readQuery(req);
+
+    // ✅ GET 疎通確認（クエリ無しのとき）
+    if (req.method === "GET" && !Object.keys(query).length) {
+      res.statusCode = 200;
+      return res.end(
+        JSON.stringify({
+          ok: true,
+          route: "/api/calendar",
+          deployed: true,
+          time: new Date().toISOString(),
+        })
+      );
+    }
+
+    if (req.method !== "POST" && req.method !== "GET") {
+      res.statusCode = 405;
+      return res.end(JSON.stringify({ ok: false, error: "Method Not Allowed" }));
+    }
+
+    const body =
+      req.method === "GET"
+        ? query
+        : req.body && typeof req.body === "object"
+          ? req.body
+          : await readJsonBody(req);
+
+    const input = normalizeInput(body);
+    const days = buildCalendarDays(input);
+
+    if (input.format === "ics") {
+      res.setHeader("Content-Type", "text/calendar; charset=utf-8");
+      res.setHeader("Content-Disposition", 'inline; filename="kanshi-calendar.ics"');
+      res.statusCode = 200;
+      return res.end(buildIcs(days, input));
+    }
+
+    res.statusCode = 200;
+    return res.end(
+      JSON.stringify({
+        ok: true,
+        input,
+        meta: {
+          timeZone: "Asia/Tokyo",
+          yearRule: input.sekkiBoundaryMode === "sekki_time" ? "sekki_risshun_time" : "magic_risshun_date",
+          monthRule: input.sekkiBoundaryMode === "sekki_time" ? "sekki_jie_time" : "magic_jie_date",
+          sekkiBoundaryPrecisionUsed: "day",
+          dayRule: "day_boundary_24_fixed",
+        },
+        days,
+      })
+    );
+  } catch (e) {
+    res.statusCode = 200;
+    return res.end(JSON.stringify({ ok: false, error: String(e?.message || e) }));
+  }
+}
+
+// ------------------------------
+// Body utils / input
+// ------------------------------
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = "";
+    req.on("data", (c) => (data += c));
+    req.on("end", () => {
+      if (!data) return resolve({});
+      try {
+        resolve(JSON.parse(data));
+      } catch {
+        reject(new Error("Invalid JSON body"));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+function readQuery(req) {
+  if (req.query && typeof req.query === "object") return { ...req.query };
+  const url = new URL(req.url || "/", "http://localhost");
+  return Object.fromEntries(url.searchParams.entries());
+}
+
+function normalizeInput(body) {
+  const start = safeString(body?.start) || todayJstYmd();
+  assertYmd(start, "start");
+
+  const end = safeString(body?.end) || addDaysYmd(start, CALENDAR_DEFAULT_DAYS - 1);
+  assertYmd(end, "end");
+
+  const days = (Date.parse(`${end}T00:00:00Z`) - Date.parse(`${start}T00:00:00Z`)) / 86400000 + 1;
+  if (!(days >= 1)) throw new Error("Invalid range (end is before start)");
+  if (days > CALENDAR_MAX_DAYS) throw new Error(`Invalid range (at most ${CALENDAR_MAX_DAYS} days)`);
+
+  const startYear = parseInt(start.slice(0, 4), 10);
+  const endYear = parseInt(end.slice(0, 4), 10);
+  if (startYear < 1900 || endYear > 2100) throw new Error("Invalid range (supported years: 1900-2100)");
+
+  const format = pickEnum(body?.format, ["json", "ics"], "json");
+  const sekkiBoundaryMode = pickEnum(body?.sekkiBoundaryMode, ["magic_date", "sekki_time"], "magic_date");
+  const sekkiEphemeris = pickEnum(body?.sekkiEphemeris, SEKKI_EPHEMERIS, "noaa");
+
+  return { start, end, format, sekkiBoundaryMode, sekkiEphemeris };
+}
+
+// 形式だけでなく、Date.UTC で往復して実在する日付か（2024-02-30 などを弾く）
+function assertYmd(ymd, name) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(ymd)) throw new Error(`Invalid ${name} (expected YYYY-MM-DD)`);
+  const { y, m, d } = ymdParts(ymd);
+  const t = new Date(Date.UTC(y, m - 1, d));
+  if (t.getUTCFullYear() !== y || t.getUTCMonth() !== m - 1 || t.getUTCDate() !== d) {
+    throw new Error(`Invalid ${name} (no such date)`);
+  }
+}
+
+function safeString(v) {
+  return typeof v === "string" ? v.trim() : "";
+}
+
+function pickEnum(v, allowed, fallback) {
+  const s = safeString(v);
+  return allowed.includes(s) ? s : fallback;
+}
+
+// ------------------------------
+// Date helpers (JST)
+// ------------------------------
+function todayJstYmd() {
+  return new Date(Date.now() + 9 * 3600 * 1000).toISOString().slice(0, 10);
+}
+
+function addDaysYmd(ymd, days) {
+  const t = new Date(Date.parse(`${ymd}T00:00:00Z`) + days * 86400000);
+  return t.toISOString().slice(0, 10);
+}
+
+function ymdParts(ymd) {
+  const [y, m, d] = ymd.split("-").map((n) => parseInt(n, 10));
+  return { y, m, d };
+}
+
+// 節入り時刻（UTC）→ JST の日付（YYYY-MM-DD）
+function jstYmdOf(dateUtc) {
+  return new Date(dateUtc.getTime() + 9 * 3600 * 1000).toISOString().slice(0, 10);
+}
+
+// ------------------------------
+// Calendar
+// ------------------------------
+function buildCalendarDays({ start, end, sekkiBoundaryMode, sekkiEphemeris }) {
+  // buildJie24Utc(y) は前年秋分〜その年の白露あたりを返すので、前後1年ずつ広げて集める
+  const y0 = parseInt(start.slice(0, 4), 10);
+  const y1 = parseInt(end.slice(0, 4), 10);
+  const jie = [];
+  for (let y = y0 - 1; y <= y1 + 1; y++) {
+    for (const j of buildJie24Utc(y, { ephemeris: sekkiEphemeris })) jie.push({ ...j, ymd: jstYmdOf(j.timeUtc) });
+  }
+  jie.sort((a, b) => a.timeUtc.getTime() - b.timeUtc.getTime());
+
+  const sekkiByDate = new Map(jie.map((j) => [j.ymd, j]));
+  const monthJie = jie.filter((j) => MONTH_BOUNDARIES.some((b) => b.angle === j.angle));
+
+  const days = [];
+  for (let ymd = start; ymd <= end; ymd = addDaysYmd(ymd, 1)) {
+    const p = ymdParts(ymd);
+    const { yearForPillar, monthBranch } =
+      sekkiBoundaryMode === "sekki_time" ? sekkiDateBoundaries(ymd, monthJie) : magicDateBoundaries(p);
+
+    const year = calcYearPillar(yearForPillar);
+    const month = { kan: monthStemFromYearStem(year.kan, monthBranch), shi: monthBranch };
+    const day = calcDayPillar24(p);
+
+    const j = sekkiByDate.get(ymd);
+    days.push({
+      date: ymd,
+      pillars: { year, month, day },
+      sekki: j
+        ? {
+            name: j.name,
+            angle: j.angle,
+            timeJst: formatJst(j.timeUtc),
+            timeJstSec: formatJstSec(j.timeUtc),
+            isMonthBoundary: MONTH_BOUNDARIES.some((b) => b.angle === j.angle),
+          }
+        : null,
+    });
+  }
+  return days;
+}
+
+// 既定：Magic準拠（立春 2/4・節入り“日”固定）
+function magicDateBoundaries(p) {
+  const beforeRisshun = p.m < 2 || (p.m === 2 && p.d < 4);
+  return {
+    yearForPillar: beforeRisshun ? p.y - 1 : p.y,
+    monthBranch: getMonthBoundaryByDate(p).branch,
+  };
+}
+
+// sekki_time：その日までに節入りした（JST の日付で比較）直近の節
+function sekkiDateBoundaries(ymd, monthJie) {
+  let prev = null;
+  for (const j of monthJie) {
+    if (j.ymd > ymd) break;
+    prev = j;
+  }
+  const boundary = MONTH_BOUNDARIES.find((b) => b.angle === prev.angle);
+  // 立春〜小寒は立春の年、小寒〜立春前は前年（小寒は1月なので節入り年 - 1）
+  const jieYear = parseInt(prev.ymd.slice(0, 4), 10);
+  return {
+    yearForPillar: boundary.branch === "丑" ? jieYear - 1 : jieYear,
+    monthBranch: boundary.branch,
+  };
+}
+
+// ------------------------------
+// iCalendar
+// ------------------------------
+function buildIcs(days, input) {
+  const stamp = new Date().toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//spikatsu//shichusuimei calendar//JA",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    "X-WR-CALNAME:干支暦",
+    "X-WR-TIMEZONE:Asia/Tokyo",
+  ];
+
+  for (const day of days) {
+    const { year, month, day: d } = day.pillars;
+    const date = day.date.replace(/-/g, "");
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${date}-kanshi-${input.sekkiBoundaryMode}@spikatsu-shichusuimei`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${date}`,
+      `DTEND;VALUE=DATE:${addDaysYmd(day.date, 1).replace(/-/g, "")}`,
+      `SUMMARY:${escapeIcsText(`${d.kan}${d.shi}日`)}`,
+      `DESCRIPTION:${escapeIcsText(`${year.kan}${year.shi}年 ${month.kan}${month.shi}月 ${d.kan}${d.shi}日`)}`,
+      "TRANSP:TRANSPARENT",
+      "END:VEVENT"
+    );
+
+    if (day.sekki) {
+      const t = sekkiUtcStamp(day.sekki.timeJstSec);
+      lines.push(
+        "BEGIN:VEVENT",
+        `UID:${date}-sekki-${day.sekki.angle}@spikatsu-shichusuimei`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART:${t}`,
+        `DTEND:${t}`,
+        `SUMMARY:${escapeIcsText(`${day.sekki.name}（${day.sekki.timeJst.slice(11)}）`)}`,
+        `DESCRIPTION:${escapeIcsText(`節入り ${day.sekki.timeJstSec} JST / 太陽視黄経 ${day.sekki.angle}°`)}`,
+        "TRANSP:TRANSPARENT",
+        "END:VEVENT"
+      );
+    }
+  }
+
+  lines.push("END:VCALENDAR");
+  return lines.map(foldIcsLine).join("\r\n") + "\r\n";
+}
+
+// "YYYY-MM-DD HH:MM:SS"（JST）→ "YYYYMMDDTHHMMSSZ"（UTC）
+function sekkiUtcStamp(timeJstSec) {
+  const ms = Date.parse(`${timeJstSec.replace(" ", "T")}+09:00`);
+  return new Date(ms).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+function escapeIcsText(s) {
+  return String(s).replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\n/g, "\\n");
+}
+
+// RFC 5545：1行 75 オクテットで折り返す（UTF-8 の文字途中では切らない）
+function foldIcsLine(line) {
+  const out = [];
+  let cur = "";
+  let bytes = 0;
+  for (const ch of line) {
+    const b = Buffer.byteLength(ch, "utf8");
+    const limit = out.length ? 74 : 75; // 継続行は先頭の空白1つ分を含める
+    if (bytes + b > limit) {
+      out.push(cur);
+      cur = "";
+      bytes = 0;
+    }
+    cur += ch;
+    bytes += b;
+  }
+  out.push(cur);
+  return out.join("\r\n ");
+}
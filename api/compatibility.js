@@ -0,0 +1,101 @@
+// /api/compatibility.js
+/**
+ * 相性API（二人の命式を突き合わせる）
+ *
+ * - a / b はそれぞれ「出生情報（/api/shichusuimei と同じ入力）」か「/api/shichusuimei の結果」
+ *   （結果は丸ごと、または { result: <結果> } で渡す）
+ * - 日干の干合・五行関係、二人にまたがる合・冲・刑・害・破、相互の通変星、
+ *   五行の補い合い、空亡の重なりと、スコア内訳を返す
+ *
+ * I/O:
+ * - 入力: { a, b }
+ * - 出力: { ok:true, a: { input, pillars }, b: { input, pillars }, compatibility }
+ */
+
+import { calcCompatibility } from "../lib/compatibility.js";
+import { calcShichusuimei } from "../lib/shichusuimei.js";
+
+export default async function handler(req, res) {
+  try {
+    res.setHeader("Content-Type", "application/json; charset=utf-8");
+    res.setHeader("Access-Control-Allow-Origin", "*");
+    res.setHeader("Access-Control-Allow-Methods", "POST,OPTIONS,GET");
+    res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+
+    if (req.method === "OPTIONS") {
+      res.statusCode = 200;
+      return res.end(JSON.stringify({ ok: true }));
+    }
+
+    // ✅ GET 疎通確認
+    if (req.method === "GET") {
+      res.statusCode = 200;
+      return res.end(
+        JSON.stringify({
+          ok: true,
+          route: "/api/compatibility",
+          deployed: true,
+          time: new Date().toISOString(),
+        })
+      );
+    }
+
+    if (req.method !== "POST") {
+      res.statusCode = 405;
+      return res.end(JSON.stringify({ ok: false, error: "Method Not Allowed" }));
+    }
+
+    const body =
+      req.body && typeof req.body === "object" ? req.body : await readJsonBody(req);
+
+    const a = resolveChart(body?.a, "a");
+    const b = resolveChart(body?.b, "b");
+
+    res.statusCode = 200;
+    return res.end(
+      JSON.stringify({
+        ok: true,
+        a: { input: a.input || null, pillars: a.pillars },
+        b: { input: b.input || null, pillars: b.pillars },
+        compatibility: calcCompatibility(a, b),
+      })
+    );
+  } catch (e) {
+    res.statusCode = 200;
+    return res.end(JSON.stringify({ ok: false, error: String(e?.message || e) }));
+  }
+}
+
+// 結果（pillars あり）はそのまま、出生情報なら計算する
+function resolveChart(v, name) {
+  if (!v || typeof v !== "object") throw new Error(`Invalid input: ${name} is required`);
+  if (v.result && typeof v.result === "object") return resolveChart(v.result, name);
+  if (v.pillars) {
+    if (v.ok === false) throw new Error(`Invalid input: ${name} is an error result`);
+    return v;
+  }
+  try {
+    return calcShichusuimei(v);
+  } catch (e) {
+    throw new Error(`${name}: ${String(e?.message || e)}`);
+  }
+}
+
+// ------------------------------
+// Body utils
+// ------------------------------
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = "";
+    req.on("data", (c) => (data += c));
+    req.on("end", () => {
+      if (!data) return resolve({});
+      try {
+        resolve(JSON.parse(data));
+      } catch {
+        reject(new Error("Invalid JSON body"));
+      }
+    });
+    req.on("error", reject);
+  });
+}
@@ -11,6 +11,8 @@
  * - 出力: { ok:true, meishi }
  */
 
+import { calcKuuBouFromDayPillar } from "../lib/kanshi.js";
+
 export default async function handler(req, res) {
   try {
     res.setHeader("Content-Type", "application/json; charset=utf-8");
@@ -57,8 +59,7 @@ export default async function handler(req, res) {
     const dayShi = p.day?.shi || "";
 
     // ✅ 空亡（天中殺）は「日干支（60干支）」から算出する（正確性のため）
-    // /api/shichusuimei.js と同等のロジック
-    const kuuBou = calcKuuBouFromDayPillar(dayKan, dayShi);
+    const kuuBou = dayKan && dayShi ? calcKuuBouFromDayPillar(dayKan, dayShi) : [];
 
     const meishi = {
       pillars: {
@@ -120,34 +121,3 @@ function readJsonBody(req) {
     req.on("error", reject);
   });
 }
-
-// ------------------------------
-// 空亡（天中殺）: 日干支(60干支)から算出
-// /api/shichusuimei.js と同等のロジック
-// ------------------------------
-const STEMS = ["甲", "乙", "丙", "丁", "戊", "己", "庚", "辛", "壬", "癸"];
-const BRANCHES = ["子", "丑", "寅", "卯", "辰", "巳", "午", "未", "申", "酉", "戌", "亥"];
-
-function mod(a, m) {
-  return ((a % m) + m) % m;
-}
-function sexagenaryFromIndex(idx) {
-  return { kan: STEMS[idx % 10], shi: BRANCHES[idx % 12] };
-}
-function sexagenaryIndex(kan, shi) {
-  for (let i = 0; i < 60; i++) {
-    const p = sexagenaryFromIndex(i);
-    if (p.kan === kan && p.shi === shi) return i;
-  }
-  return 0;
-}
-function calcKuuBouFromDayPillar(dayKan, dayShi) {
-  if (!dayKan || !dayShi) return [];
-  const idx = sexagenaryIndex(dayKan, dayShi);
-  const junStart = idx - (idx % 10);
-  const startBranch = BRANCHES[junStart % 12];
-  const startBi = BRANCHES.indexOf(startBranch);
-  const v1 = BRANCHES[mod(startBi - 2, 12)];
-  const v2 = BRANCHES[mod(startBi - 1, 12)];
-  return [v1, v2];
-}
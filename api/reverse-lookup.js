@@ -0,0 +1,273 @@
+// /api/reverse-lookup.js
+/**
+ * 逆引きAPI（四柱 → 生年月日の候補）
+ *
+ * - 紙の命式（四柱だけ）を検証するため、年柱・月柱・日柱（任意で時柱）が揃う日を年の範囲から列挙する
+ * - 各候補には、その柱の組が成り立つ時間帯（JST）を返す（節入り日・時柱の刻で切れる）
+ * - 月干が年干と、時干が日干と合わない柱は候補なしとし、issues に理由を返す
+ *
+ * 境界（/api/shichusuimei と同じ考え方）：
+ * - 既定 sekkiBoundaryMode="magic_date"：立春・節入りは“日”固定（2/4, 3/6, ...）
+ * - sekkiBoundaryMode="sekki_time"：節入り時刻（sekkiBoundaryPrecision="day" なら節入り日の 0:00 から）
+ * - 日柱：0:00 日替わり（JST）。時柱の子刻は 0:00〜0:59 と 23:00〜23:59（同じ日干）
+ * - 節入り時刻の計算法：sekkiEphemeris="noaa"（既定）/ "vsop87"（高精度）
+ *
+ * I/O:
+ * - 入力: { pillars: { year: "庚午" | { kan, shi }, month, day, hour? }, yearRange?: { start, end },
+ *         sekkiBoundaryMode?, sekkiBoundaryPrecision?, sekkiEphemeris? }
+ * - 出力: { ok:true, input, issues, candidates: [{ date, windows: [{ fromJst, untilJst }] }] }
+ */
+
+import { SEKKI_EPHEMERIS, buildJie12Utc, formatJstSec } from "../lib/sekki.js";
+import {
+  BRANCHES,
+  MONTH_BOUNDARIES,
+  STEMS,
+  calcDayPillar24,
+  calcYearPillar,
+  hourStemFromDayStem,
+  monthStemFromYearStem,
+} from "../lib/kanshi.js";
+
+const YEAR_MIN = 1900;
+const YEAR_MAX = 2100;
+const DAY_MS = 86400000;
+const JST_MS = 9 * 3600 * 1000;
+
+export default async function handler(req, res) {
+  try {
+    res.setHeader("Content-Type", "application/json; charset=utf-8");
+    res.setHeader("Access-Control-Allow-Origin", "*");
+    res.setHeader("Access-Control-Allow-Methods", "POST,OPTIONS,GET");
+    res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+
+    if (req.method === "OPTIONS") {
+      res.statusCode = 200;
+      return res.end(JSON.stringify({ ok: true }));
+    }
+
+    // ✅ GET 疎通確認
+    if (req.method === "GET") {
+      res.statusCode = 200;
+      return res.end(
+        JSON.stringify({
+          ok: true,
+          route: "/api/reverse-lookup",
+          deployed: true,
+          time: new Date().toISOString(),
+        })
+      );
+    }
+
+    if (req.method !== "POST") {
+      res.statusCode = 405;
+      return res.end(JSON.stringify({ ok: false, error: "Method Not Allowed" }));
+    }
+
+    const body =
+      req.body && typeof req.body === "object" ? req.body : await readJsonBody(req);
+
+    const input = normalizeInput(body);
+    const { issues, candidates } = findMatchingDates(input);
+
+    res.statusCode = 200;
+    return res.end(
+      JSON.stringify({
+        ok: true,
+        input: {
+          ...input,
+          pillars: Object.fromEntries(
+            Object.entries(input.pillars).map(([k, p]) => [k, p ? `${p.kan}${p.shi}` : null])
+          ),
+        },
+        meta: { timeZone: "Asia/Tokyo", dayRule: "day_boundary_24_fixed" },
+        issues,
+        count: candidates.length,
+        candidates,
+      })
+    );
+  } catch (e) {
+    res.statusCode = 200;
+    return res.end(JSON.stringify({ ok: false, error: String(e?.message || e) }));
+  }
+}
+
+// ------------------------------
+// Body utils / input
+// ------------------------------
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = "";
+    req.on("data", (c) => (data += c));
+    req.on("end", () => {
+      if (!data) return resolve({});
+      try {
+        resolve(JSON.parse(data));
+      } catch {
+        reject(new Error("Invalid JSON body"));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+function normalizeInput(body) {
+  const src = body?.pillars && typeof body.pillars === "object" ? body.pillars : {};
+  const pillars = {
+    year: parsePillar(src.year, "year", true),
+    month: parsePillar(src.month, "month", true),
+    day: parsePillar(src.day, "day", true),
+    hour: parsePillar(src.hour, "hour", false),
+  };
+
+  const range = body?.yearRange && typeof body.yearRange === "object" ? body.yearRange : {};
+  const start = normalizeYear(range.start, "yearRange.start") ?? YEAR_MIN;
+  const end = normalizeYear(range.end, "yearRange.end") ?? YEAR_MAX;
+  if (end < start) throw new Error("Invalid yearRange (end is before start)");
+
+  const sekkiBoundaryMode = pickEnum(body?.sekkiBoundaryMode, ["magic_date", "sekki_time"], "magic_date");
+  const sekkiBoundaryPrecision = pickEnum(body?.sekkiBoundaryPrecision, ["day", "minute", "second"], "day");
+  const sekkiEphemeris = pickEnum(body?.sekkiEphemeris, SEKKI_EPHEMERIS, "noaa");
+
+  return { pillars, yearRange: { start, end }, sekkiBoundaryMode, sekkiBoundaryPrecision, sekkiEphemeris };
+}
+
+// "庚午" / { kan: "庚", shi: "午" }
+function parsePillar(v, name, required) {
+  const kan = typeof v === "string" ? v.trim()[0] : safeString(v?.kan);
+  const shi = typeof v === "string" ? v.trim()[1] : safeString(v?.shi);
+  if (!kan && !shi) {
+    if (required) throw new Error(`Invalid pillars.${name} (required, e.g. "庚午")`);
+    return null;
+  }
+  const si = STEMS.indexOf(kan);
+  const bi = BRANCHES.indexOf(shi);
+  if (si < 0 || bi < 0) throw new Error(`Invalid pillars.${name}: ${kan || ""}${shi || ""}`);
+  // 六十干支は陽干と陽支・陰干と陰支の組のみ
+  if (si % 2 !== bi % 2) throw new Error(`Invalid pillars.${name}: ${kan}${shi} is not a sexagenary pair`);
+  return { kan, shi };
+}
+
+function normalizeYear(v, name) {
+  if (v === undefined || v === null || v === "") return null;
+  const n = typeof v === "string" ? Number(v) : v;
+  if (!Number.isInteger(n) || n < YEAR_MIN || n > YEAR_MAX) {
+    throw new Error(`Invalid ${name} (expected a year between ${YEAR_MIN} and ${YEAR_MAX})`);
+  }
+  return n;
+}
+
+function safeString(v) {
+  return typeof v === "string" ? v.trim() : "";
+}
+
+function pickEnum(v, allowed, fallback) {
+  const s = safeString(v);
+  return allowed.includes(s) ? s : fallback;
+}
+
+// ------------------------------
+// Lookup
+// ------------------------------
+function findMatchingDates(input) {
+  const { pillars, yearRange } = input;
+  const issues = [];
+
+  const monthStem = monthStemFromYearStem(pillars.year.kan, pillars.month.shi);
+  if (monthStem !== pillars.month.kan) {
+    issues.push(
+      `月干が年干と合わない（${pillars.year.kan}年の${pillars.month.shi}月は${monthStem}${pillars.month.shi}）`
+    );
+  }
+  if (pillars.hour) {
+    const hourStem = hourStemFromDayStem(pillars.day.kan, pillars.hour.shi);
+    if (hourStem !== pillars.hour.kan) {
+      issues.push(
+        `時干が日干と合わない（${pillars.day.kan}日の${pillars.hour.shi}刻は${hourStem}${pillars.hour.shi}）`
+      );
+    }
+  }
+  if (issues.length) return { issues, candidates: [] };
+
+  const rangeStartMs = Date.UTC(yearRange.start, 0, 1) - JST_MS;
+  const rangeEndMs = Date.UTC(yearRange.end + 1, 0, 1) - JST_MS;
+
+  const candidates = [];
+  // 1月生まれは前年の年柱になるので、範囲の前年から見る
+  for (let y = yearRange.start - 1; y <= yearRange.end; y++) {
+    const yp = calcYearPillar(y);
+    if (yp.kan !== pillars.year.kan || yp.shi !== pillars.year.shi) continue;
+
+    const period = monthPeriodMs(y, pillars.month.shi, input);
+    const from = Math.max(period.fromMs, rangeStartMs);
+    const until = Math.min(period.untilMs, rangeEndMs);
+
+    for (let dayMs = jstDayStartMs(from); dayMs < until; dayMs += DAY_MS) {
+      const p = jstDateParts(dayMs);
+      const dp = calcDayPillar24(p);
+      if (dp.kan !== pillars.day.kan || dp.shi !== pillars.day.shi) continue;
+
+      const dayWindow = [Math.max(dayMs, from), Math.min(dayMs + DAY_MS, until)];
+      const windows = (pillars.hour ? hourWindowsMs(dayMs, pillars.hour.shi) : [[dayMs, dayMs + DAY_MS]])
+        .map(([a, b]) => [Math.max(a, dayWindow[0]), Math.min(b, dayWindow[1])])
+        .filter(([a, b]) => a < b)
+        .map(([a, b]) => ({ fromJst: formatJstSec(new Date(a)), untilJst: formatJstSec(new Date(b)) }));
+
+      if (windows.length) candidates.push({ date: formatYmd(p), windows });
+    }
+  }
+
+  return { issues, candidates };
+}
+
+// 年柱の年 y の、月支 branch の月が続く期間 [fromMs, untilMs)
+function monthPeriodMs(y, branch, { sekkiBoundaryMode, sekkiBoundaryPrecision, sekkiEphemeris }) {
+  const i = MONTH_BOUNDARIES.findIndex((b) => b.branch === branch);
+  const cur = MONTH_BOUNDARIES[i];
+  const next = MONTH_BOUNDARIES[(i + 1) % 12];
+  // 小寒（1月）は翌年、立春〜大雪はその年。次の節が立春なら翌年
+  const yearOf = (b, isNext) => (b.m === 1 || (isNext && b.angle === 315) ? y + 1 : y);
+
+  if (sekkiBoundaryMode !== "sekki_time") {
+    return {
+      fromMs: Date.UTC(yearOf(cur, false), cur.m - 1, cur.d) - JST_MS,
+      untilMs: Date.UTC(yearOf(next, true), next.m - 1, next.d) - JST_MS,
+    };
+  }
+
+  // buildJie12Utc(Y) の寒露・立冬・大雪は前年（Y-1）のものなので、Y と Y+1 から JST の暦年で引く
+  const jieMs = (b, isNext) => {
+    const calYear = yearOf(b, isNext);
+    const t = [calYear, calYear + 1]
+      .flatMap((yy) => buildJie12Utc(yy, { ephemeris: sekkiEphemeris }))
+      .find((j) => j.angle === b.angle && jstDateParts(j.timeUtc.getTime()).y === calYear)
+      .timeUtc.getTime();
+    return sekkiBoundaryPrecision === "day" ? jstDayStartMs(t) : t;
+  };
+  return { fromMs: jieMs(cur, false), untilMs: jieMs(next, true) };
+}
+
+// 時支の刻（JST）。子は 0:00〜0:59 と 23:00〜23:59 の二つ
+function hourWindowsMs(dayMs, branch) {
+  const hour = 3600000;
+  const bi = BRANCHES.indexOf(branch);
+  if (bi === 0) return [[dayMs, dayMs + hour], [dayMs + 23 * hour, dayMs + DAY_MS]];
+  const start = dayMs + (bi * 2 - 1) * hour;
+  return [[start, start + 2 * hour]];
+}
+
+// ------------------------------
+// Date helpers (JST)
+// ------------------------------
+function jstDayStartMs(ms) {
+  return Math.floor((ms + JST_MS) / DAY_MS) * DAY_MS - JST_MS;
+}
+
+function jstDateParts(ms) {
+  const t = new Date(ms + JST_MS);
+  return { y: t.getUTCFullYear(), m: t.getUTCMonth() + 1, d: t.getUTCDate() };
+}
+
+function formatYmd(p) {
+  return `${p.y}-${String(p.m).padStart(2, "0")}-${String(p.d).padStart(2, "0")}`;
+}
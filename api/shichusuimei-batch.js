@@ -0,0 +1,304 @@
+// /api/shichusuimei-batch.js
+/**
+ * 四柱推命API（一括計算）
+ *
+ * - 顧客リストの移行用：複数人分を1リクエストで計算し、入力順に結果を返す
+ * - 入力は JSON 配列、または CSV（見出し行つき：date,time,sex,country,pref,latitude,longitude,timeZone,utcOffset）
+ *   CSV は Content-Type: text/csv で本文に置くか、JSON の { csv: "..." } で渡す
+ * - 各行の入力エラーはその行の error に入れ、他の行の計算は続ける
+ * - 共通オプション（timeMode, sekkiBoundaryMode, asOf 等）は options かクエリで渡し、行の値が優先
+ *
+ * I/O:
+ * - 入力: [ {date, time, ...}, ... ] / { rows: [...], options?, format? } / { csv, options?, format? } / CSV本文
+ * - 出力(json): { ok:true, count, okCount, errorCount, results: [{ row, id, ok, result | error }] }
+ *   result は1人分の要約（input・pillars・derived の主要項目と大運の一覧）。年運・月運・日運・
+ *   強弱の内訳・meta は含めない（500行でも応答サイズの上限に収まるように）。全項目は /api/shichusuimei で
+ * - 出力(csv): 1行1人（柱・通変星・五行の数・空亡を平らにした列）。?format=csv または format:"csv"
+ */
+
+import { parseCsv, toCsv } from "../lib/csv.js";
+import { calcKuuBouFromDayPillar } from "../lib/kanshi.js";
+import { calcShichusuimei } from "../lib/shichusuimei.js";
+
+const BATCH_MAX_ROWS = 500;
+
+// 行の入力列（CSV の見出し）→ 入力の形
+const PLACE_COLUMNS = ["country", "pref", "latitude", "longitude", "timeZone", "utcOffset"];
+const OPTION_KEYS = [
+  "timeMode",
+  "dayBoundaryMode",
+  "sekkiBoundaryMode",
+  "sekkiBoundaryPrecision",
+  "sekkiBoundaryTieBreak",
+  "sekkiEphemeris",
+  "twelveStageMode",
+  "zokanBunyaSchool",
+  "asOf",
+];
+
+const CSV_COLUMNS = [
+  "row",
+  "id",
+  "ok",
+  "error",
+  "date",
+  "time",
+  "sex",
+  "pref",
+  "year_kan",
+  "year_shi",
+  "month_kan",
+  "month_shi",
+  "day_kan",
+  "day_shi",
+  "hour_kan",
+  "hour_shi",
+  "tenDeity_year",
+  "tenDeity_month",
+  "tenDeity_hour",
+  "wood",
+  "fire",
+  "earth",
+  "metal",
+  "water",
+  "kuuBou",
+];
+
+export default async function handler(req, res) {
+  try {
+    res.setHeader("Content-Type", "application/json; charset=utf-8");
+    res.setHeader("Access-Control-Allow-Origin", "*");
+    res.setHeader("Access-Control-Allow-Methods", "POST,OPTIONS,GET");
+    res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+
+    if (req.method === "OPTIONS") {
+      res.statusCode = 200;
+      return res.end(JSON.stringify({ ok: true }));
+    }
+
+    // ✅ GET 疎通確認
+    if (req.method === "GET") {
+      res.statusCode = 200;
+      return res.end(
+        JSON.stringify({
+          ok: true,
+          route: "/api/shichusuimei-batch",
+          deployed: true,
+          maxRows: BATCH_MAX_ROWS,
+          time: new Date().toISOString(),
+        })
+      );
+    }
+
+    if (req.method !== "POST") {
+      res.statusCode = 405;
+      return res.end(JSON.stringify({ ok: false, error: "Method Not Allowed" }));
+    }
+
+    const query = readQuery(req);
+    const { rows, options, format } = await readBatchInput(req, query);
+    if (rows.length > BATCH_MAX_ROWS) {
+      throw new Error(`Too many rows: ${rows.length} (at most ${BATCH_MAX_ROWS})`);
+    }
+
+    const results = rows.map((row, i) => calcRow(row, i + 1, options));
+
+    if (format === "csv") {
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader("Content-Disposition", 'attachment; filename="shichusuimei-batch.csv"');
+      res.statusCode = 200;
+      // Excel で文字化けしないよう BOM を付ける
+      return res.end("\uFEFF" + toCsv(CSV_COLUMNS, results.map(flattenResult)));
+    }
+
+    res.statusCode = 200;
+    return res.end(
+      JSON.stringify({
+        ok: true,
+        count: results.length,
+        okCount: results.filter((r) => r.ok).length,
+        errorCount: results.filter((r) => !r.ok).length,
+        results,
+      })
+    );
+  } catch (e) {
+    res.statusCode = 200;
+    return res.end(JSON.stringify({ ok: false, error: String(e?.message || e) }));
+  }
+}
+
+// ------------------------------
+// Input
+// ------------------------------
+async function readBatchInput(req, query) {
+  const contentType = String(req.headers?.["content-type"] || "");
+  let body = req.body;
+  if (body === undefined || body === null || (typeof body === "object" && !Object.keys(body).length)) {
+    body = await readRawBody(req);
+  }
+  if (Buffer.isBuffer(body)) body = body.toString("utf8");
+
+  // CSV 本文
+  if (typeof body === "string" && (contentType.includes("text/csv") || !body.trim().match(/^[[{]/))) {
+    return {
+      rows: parseCsv(body),
+      options: pickOptions(query),
+      format: query.format === "csv" ? "csv" : "json",
+    };
+  }
+
+  if (typeof body === "string") {
+    try {
+      body = body.trim() ? JSON.parse(body) : {};
+    } catch {
+      throw new Error("Invalid JSON body");
+    }
+  }
+
+  const rows = Array.isArray(body)
+    ? body
+    : Array.isArray(body?.rows)
+      ? body.rows
+      : typeof body?.csv === "string"
+        ? parseCsv(body.csv)
+        : null;
+  if (!rows) throw new Error("Invalid input: expected a JSON array, { rows }, { csv } or a CSV body");
+
+  const format = (Array.isArray(body) ? null : body.format) || query.format;
+  return {
+    rows,
+    options: { ...pickOptions(query), ...pickOptions(Array.isArray(body) ? {} : body.options) },
+    format: format === "csv" ? "csv" : "json",
+  };
+}
+
+function pickOptions(src) {
+  const out = {};
+  for (const k of OPTION_KEYS) if (src?.[k] !== undefined && src[k] !== "") out[k] = src[k];
+  return out;
+}
+
+// 行（JSON の入力 or CSV の1行）→ calcShichusuimei の入力
+function rowToInput(row, options) {
+  if (!row || typeof row !== "object") throw new Error("Invalid row (expected an object)");
+
+  const birthPlace = row.birthPlace && typeof row.birthPlace === "object" ? { ...row.birthPlace } : {};
+  for (const k of PLACE_COLUMNS) {
+    if (row[k] !== undefined && row[k] !== "" && birthPlace[k] === undefined) birthPlace[k] = row[k];
+  }
+
+  return {
+    ...options,
+    ...pickOptions(row),
+    date: normalizeDateCell(row.date),
+    time: normalizeTimeCell(row.time),
+    sex: row.sex,
+    birthPlace,
+  };
+}
+
+// Excel 由来の "1990/5/10" や "8:30" を YYYY-MM-DD / HH:MM にそろえる
+function normalizeDateCell(v) {
+  const s = typeof v === "string" ? v.trim() : "";
+  const m = s.match(/^(\d{4})[/.-](\d{1,2})[/.-](\d{1,2})$/);
+  return m ? `${m[1]}-${m[2].padStart(2, "0")}-${m[3].padStart(2, "0")}` : s;
+}
+
+function normalizeTimeCell(v) {
+  const s = typeof v === "string" ? v.trim() : "";
+  const m = s.match(/^(\d{1,2}):(\d{2})(:\d{2})?$/);
+  return m ? `${m[1].padStart(2, "0")}:${m[2]}${m[3] || ""}` : s;
+}
+
+// ------------------------------
+// Rows
+// ------------------------------
+function calcRow(row, index, options) {
+  const id = row?.id ?? row?.name ?? null;
+  try {
+    const result = calcShichusuimei(rowToInput(row, options));
+    return { row: index, id, ok: true, result: summarizeResult(result) };
+  } catch (e) {
+    return { row: index, id, ok: false, error: String(e?.message || e) };
+  }
+}
+
+// 1行分の JSON 出力（1人分の全結果は 40KB 前後あるため、一覧で使う項目だけに絞る）
+const LUCK_PILLAR_KEYS = ["kan", "shi", "tenDeity", "ageFrom", "ageTo", "startDate", "endDate"];
+
+function summarizeResult(result) {
+  const { input, pillars, derived } = result;
+  const { factors, ...strength } = derived.strength || {};
+  const luck = derived.luck || {};
+  return {
+    input,
+    pillars,
+    derived: {
+      tenDeity: derived.tenDeity,
+      zokanTenDeity: derived.zokanTenDeity,
+      twelveStages: derived.twelveStages,
+      shensha: derived.shensha,
+      interactions: derived.interactions,
+      fiveElements: derived.fiveElements,
+      strength: derived.strength ? strength : null,
+      kakkyoku: derived.kakkyoku,
+      luck: {
+        direction: luck.direction,
+        startAgeYears: luck.startAgeYears,
+        startAgeDetail: luck.startAgeDetail,
+        startDate: luck.startDate,
+        current: luck.current,
+        dayun: (luck.dayun || []).map((x) => pickKeys(x, LUCK_PILLAR_KEYS)),
+        currentDayun: luck.currentDayun ? pickKeys(luck.currentDayun, LUCK_PILLAR_KEYS) : null,
+        currentNenun: luck.currentNenun
+          ? pickKeys(luck.currentNenun, ["pillarYear", "kan", "shi", "tenDeity", "tenchusatsu"])
+          : null,
+      },
+      timeUnknown: derived.timeUnknown,
+    },
+  };
+}
+
+function pickKeys(obj, keys) {
+  return Object.fromEntries(keys.filter((k) => obj[k] !== undefined).map((k) => [k, obj[k]]));
+}
+
+function flattenResult(r) {
+  const out = { row: r.row, id: r.id ?? "", ok: r.ok, error: r.error || "" };
+  if (!r.ok) return out;
+
+  const { input, pillars, derived } = r.result;
+  Object.assign(out, {
+    date: input.date,
+    time: input.time,
+    sex: input.sex,
+    pref: input.birthPlace?.pref || "",
+  });
+  for (const k of ["year", "month", "day", "hour"]) {
+    out[`${k}_kan`] = pillars[k]?.kan || "";
+    out[`${k}_shi`] = pillars[k]?.shi || "";
+  }
+  for (const k of ["year", "month", "hour"]) out[`tenDeity_${k}`] = derived.tenDeity?.[k] || "";
+  Object.assign(out, derived.fiveElements?.counts || {});
+  out.kuuBou = calcKuuBouFromDayPillar(pillars.day.kan, pillars.day.shi).join("");
+  return out;
+}
+
+// ------------------------------
+// Body utils
+// ------------------------------
+function readRawBody(req) {
+  return new Promise((resolve, reject) => {
+    if (typeof req.on !== "function") return resolve("");
+    let data = "";
+    req.on("data", (c) => (data += c));
+    req.on("end", () => resolve(data));
+    req.on("error", reject);
+  });
+}
+
+function readQuery(req) {
+  if (req.query && typeof req.query === "object") return { ...req.query };
+  const url = new URL(req.url || "/", "http://localhost");
+  return Object.fromEntries(url.searchParams.entries());
+}
@@ -0,0 +1,122 @@
+// /api/tenchusatsu.js
+/**
+ * 天中殺（空亡）の時期API
+ *
+ * - 「次の天中殺はいつか」：基準日時（asOf・既定は現在）から先の天中殺の年・月（節入り区切り）・日を並べる
+ * - 入力は「出生情報（/api/shichusuimei と同じ入力）」か「/api/shichusuimei の結果」（丸ごと or { result }）
+ * - 日柱空亡（既定）に加え、年干支から出す年柱空亡（一部の流派）も同じ窓で返す
+ * - 年・月の区切りの節入り時刻は sekkiEphemeris（出生情報の場合はその計算に使った値）で計算する
+ *
+ * I/O:
+ * - 入力: { ...出生情報 | result, asOf?, years?, daysRange?: { start, end }, sekkiEphemeris? }
+ * - 出力: { ok:true, input, pillars, tenchusatsu: { asOf, window, day, year } }
+ */
+
+import {
+  calcShichusuimei,
+  normalizeAsOf,
+  normalizeDateRange,
+  nowJstDateParts,
+} from "../lib/shichusuimei.js";
+import { SEKKI_EPHEMERIS } from "../lib/sekki.js";
+import {
+  TENCHUSATSU_MAX_DAYS,
+  TENCHUSATSU_MAX_YEARS,
+  calcTenchusatsuTimeline,
+} from "../lib/tenchusatsu.js";
+
+export default async function handler(req, res) {
+  try {
+    res.setHeader("Content-Type", "application/json; charset=utf-8");
+    res.setHeader("Access-Control-Allow-Origin", "*");
+    res.setHeader("Access-Control-Allow-Methods", "POST,OPTIONS,GET");
+    res.setHeader("Access-Control-Allow-Headers", "Content-Type");
+
+    if (req.method === "OPTIONS") {
+      res.statusCode = 200;
+      return res.end(JSON.stringify({ ok: true }));
+    }
+
+    // ✅ GET 疎通確認
+    if (req.method === "GET") {
+      res.statusCode = 200;
+      return res.end(
+        JSON.stringify({
+          ok: true,
+          route: "/api/tenchusatsu",
+          deployed: true,
+          time: new Date().toISOString(),
+        })
+      );
+    }
+
+    if (req.method !== "POST") {
+      res.statusCode = 405;
+      return res.end(JSON.stringify({ ok: false, error: "Method Not Allowed" }));
+    }
+
+    const body =
+      req.body && typeof req.body === "object" ? req.body : await readJsonBody(req);
+
+    const asOf = normalizeAsOf(body?.asOf) || nowJstDateParts();
+    const years = normalizeYears(body?.years);
+    const daysRange = normalizeDateRange(body?.daysRange, "daysRange", TENCHUSATSU_MAX_DAYS);
+
+    const chart = resolveChart(body);
+    const ephemeris = SEKKI_EPHEMERIS.includes(body?.sekkiEphemeris)
+      ? body.sekkiEphemeris
+      : chart.input?.sekkiEphemeris || "noaa";
+
+    res.statusCode = 200;
+    return res.end(
+      JSON.stringify({
+        ok: true,
+        input: chart.input || null,
+        pillars: chart.pillars,
+        tenchusatsu: calcTenchusatsuTimeline(chart.pillars, { asOf, years, daysRange, ephemeris }),
+      })
+    );
+  } catch (e) {
+    res.statusCode = 200;
+    return res.end(JSON.stringify({ ok: false, error: String(e?.message || e) }));
+  }
+}
+
+// 結果（pillars あり）はそのまま、出生情報なら計算する
+function resolveChart(v) {
+  if (!v || typeof v !== "object") throw new Error("Invalid input: birth data or result is required");
+  if (v.result && typeof v.result === "object") return resolveChart(v.result);
+  if (v.pillars) {
+    if (v.ok === false) throw new Error("Invalid input: result is an error result");
+    return v;
+  }
+  return calcShichusuimei(v);
+}
+
+function normalizeYears(v) {
+  if (v === undefined || v === null || v === "") return null;
+  const n = typeof v === "string" ? Number(v) : v;
+  if (!Number.isInteger(n) || n < 1 || n > TENCHUSATSU_MAX_YEARS) {
+    throw new Error(`Invalid years (expected 1 to ${TENCHUSATSU_MAX_YEARS})`);
+  }
+  return n;
+}
+
+// ------------------------------
+// Body utils
+// ------------------------------
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = "";
+    req.on("data", (c) => (data += c));
+    req.on("end", () => {
+      if (!data) return resolve({});
+      try {
+        resolve(JSON.parse(data));
+      } catch {
+        reject(new Error("Invalid JSON body"));
+      }
+    });
+    req.on("error", reject);
+  });
+}
@@ -0,0 +1,259 @@
+// lib/compatibility.js
+// 相性：二人の命式（/api/shichusuimei の結果）を突き合わせる
+//
+// 使い方：
+//   calcCompatibility(resultA, resultB)
+//     -> { dayMaster, crossTenDeity, interactions, elements, kuuBou, score, scoreBreakdown }
+//
+// NOTE:
+// - 柱のキーは "a.day" / "b.year" のように人（a/b）と柱を並べて表す
+// - interactions は二人にまたがる関係だけ（各自の命式内の合・冲は含めない）
+// - スコアは年運スコアと同じ作り：基準 5.5 に加点・減点を足して 1〜10、内訳を scoreBreakdown に残す
+
+import { findInteractions } from "./interactions.js";
+import { calcKuuBouFromDayPillar } from "./kanshi.js";
+import { ELEMENTS, ELEMENT_LABEL, STEM_INFO, elementRelation, tenDeityOf } from "./shichusuimei.js";
+
+const PILLAR_KEYS = ["year", "month", "day", "hour"];
+const PILLAR_LABEL = { year: "年", month: "月", day: "日", hour: "時" };
+const PERSON_LABEL = { a: "A", b: "B" };
+
+// 日干どうしの五行関係（向きは問わない）
+const DAY_RELATION_LABEL = {
+  same: "比和",
+  day_creates_other: "相生",
+  other_creates_day: "相生",
+  day_controls_other: "相剋",
+  other_controls_day: "相剋",
+};
+
+const ELEMENT_STRONG_PCT = 25; // 相手の五行がこの割合以上なら「相手が持っている」とみなす
+
+const COMPAT_BASE_SCORE = 5.5;
+const COMPAT_WEIGHTS = {
+  dayStem: { 干合: 1.5, 比和: 0.5, 相生: 0.75, 相剋: -0.75 },
+  interaction: {
+    冲: -0.75,
+    刑: -0.5,
+    害: -0.5,
+    破: -0.25,
+    干合: 0.5,
+    支合: 0.5,
+    三合: 0.5,
+    半会: 0.25,
+    方合: 0.25,
+  },
+  // 関係に日柱がいくつ含まれるか（0 / 1 / 2）で重みを変える
+  dayPillarFactor: [0.5, 1, 2],
+  partnerElement: { yojin: 1.0, kishin: 0.5, imishin: -1.0 },
+  missingFilled: 0.25,
+  kuuBou: { day: -1.0, year: -0.5 },
+};
+const GOD_LABEL = { yojin: "用神", kishin: "喜神", imishin: "忌神" };
+
+export function calcCompatibility(a, b) {
+  const people = { a: personOf(a, "a"), b: personOf(b, "b") };
+
+  const dayMaster = calcDayMasterRelation(people.a, people.b);
+  const crossTenDeity = {
+    fromA: crossDeities(people.a.dayStem, people.b.pillars),
+    fromB: crossDeities(people.b.dayStem, people.a.pillars),
+  };
+  const interactions = findCrossInteractions(people.a, people.b);
+  const elements = {
+    a: calcElementSupport(people.a, people.b),
+    b: calcElementSupport(people.b, people.a),
+  };
+  const kuuBou = {
+    a: calcKuuBouCross(people.a, people.b),
+    b: calcKuuBouCross(people.b, people.a),
+  };
+
+  const scoreBreakdown = buildScoreBreakdown({ dayMaster, interactions, elements, kuuBou });
+  const total = scoreBreakdown.reduce((acc, x) => acc + x.delta, 0);
+  const score = clamp(Math.round((COMPAT_BASE_SCORE + total) * 10) / 10, 1, 10);
+
+  return {
+    dayMaster,
+    crossTenDeity,
+    interactions,
+    elements,
+    kuuBou,
+    score,
+    scoreBreakdown,
+  };
+}
+
+// ---- 人ごとの材料 ----
+function personOf(result, person) {
+  const p = result?.pillars || {};
+  if (!p.day?.kan || !p.day?.shi) throw new Error(`Invalid ${person}: day pillar is required`);
+
+  const pillars = PILLAR_KEYS.filter((k) => p[k]?.kan && p[k]?.shi).map((k) => ({
+    key: k,
+    kan: p[k].kan,
+    shi: p[k].shi,
+  }));
+  const weighted = result?.derived?.fiveElements?.weighted || null;
+  const strength = result?.derived?.strength || null;
+
+  return {
+    person,
+    pillars,
+    dayStem: p.day.kan,
+    dayBranch: p.day.shi,
+    percentages: weighted?.percentages || null,
+    missing: weighted?.missing || [],
+    gods: strength
+      ? { yojin: strength.yojin, kishin: strength.kishin, imishin: strength.imishin, verdict: strength.verdict }
+      : null,
+  };
+}
+
+// ---- 日干どうし ----
+function calcDayMasterRelation(a, b) {
+  const aElem = STEM_INFO[a.dayStem]?.elem;
+  const bElem = STEM_INFO[b.dayStem]?.elem;
+  const kangou = findInteractions([
+    { key: "a.day", kan: a.dayStem, shi: a.dayBranch },
+    { key: "b.day", kan: b.dayStem, shi: b.dayBranch },
+  ]).find((x) => x.type === "干合");
+
+  return {
+    a: { stem: a.dayStem, element: aElem },
+    b: { stem: b.dayStem, element: bElem },
+    relation: DAY_RELATION_LABEL[elementRelation(aElem, bElem)] || null,
+    direction: elementRelation(aElem, bElem), // a から見た向き（day = a / other = b）
+    kangou: kangou ? { element: kangou.element } : null,
+    aSeesB: tenDeityOf(a.dayStem, b.dayStem),
+    bSeesA: tenDeityOf(b.dayStem, a.dayStem),
+  };
+}
+
+// 相手の各柱の干を、自分の日干から見た通変星
+function crossDeities(dayStem, partnerPillars) {
+  const out = { year: null, month: null, day: null, hour: null };
+  for (const p of partnerPillars) out[p.key] = tenDeityOf(dayStem, p.kan);
+  return out;
+}
+
+// ---- 二人にまたがる合・冲・刑・害・破 ----
+function findCrossInteractions(a, b) {
+  const tagged = [
+    ...a.pillars.map((p) => ({ ...p, key: `a.${p.key}` })),
+    ...b.pillars.map((p) => ({ ...p, key: `b.${p.key}` })),
+  ];
+  return findInteractions(tagged).filter(
+    (x) => x.pillars.some((k) => k.startsWith("a.")) && x.pillars.some((k) => k.startsWith("b."))
+  );
+}
+
+// ---- 五行の補い合い：自分の用神・喜神・忌神と不足五行を、相手がどれだけ持っているか ----
+function calcElementSupport(self, partner) {
+  const pct = partner.percentages;
+  if (!pct) return { available: false };
+
+  const dominant = [...ELEMENTS].sort((x, y) => pct[y] - pct[x])[0];
+  const godOfDominant = self.gods
+    ? Object.keys(GOD_LABEL).find((g) => self.gods[g] === dominant) || null
+    : null;
+
+  return {
+    available: true,
+    partnerDominant: dominant,
+    partnerDominantGod: godOfDominant,
+    partnerShare: self.gods
+      ? {
+          yojin: pct[self.gods.yojin] ?? null,
+          kishin: pct[self.gods.kishin] ?? null,
+          imishin: pct[self.gods.imishin] ?? null,
+        }
+      : null,
+    missing: self.missing,
+    missingFilledByPartner: self.missing.filter((e) => pct[e] >= ELEMENT_STRONG_PCT),
+  };
+}
+
+// ---- 空亡：相手の支が自分の空亡に入るか ----
+function calcKuuBouCross(self, partner) {
+  const kuuBou = calcKuuBouFromDayPillar(self.dayStem, self.dayBranch);
+  return {
+    kuuBou,
+    partnerPillars: partner.pillars.filter((p) => kuuBou.includes(p.shi)).map((p) => p.key),
+  };
+}
+
+// ---- スコア ----
+function buildScoreBreakdown({ dayMaster, interactions, elements, kuuBou }) {
+  const W = COMPAT_WEIGHTS;
+  const breakdown = [];
+  const add = (factor, detail, delta) => {
+    if (delta) breakdown.push({ factor, detail, delta });
+  };
+
+  if (dayMaster.kangou) {
+    add("dayStem", `日干${dayMaster.a.stem}と${dayMaster.b.stem}が干合`, W.dayStem.干合);
+  } else if (dayMaster.relation) {
+    add(
+      "dayStem",
+      `日干${dayMaster.a.stem}（${ELEMENT_LABEL[dayMaster.a.element]}）と${dayMaster.b.stem}（${
+        ELEMENT_LABEL[dayMaster.b.element]
+      }）は${dayMaster.relation}`,
+      W.dayStem[dayMaster.relation]
+    );
+  }
+
+  for (const it of interactions) {
+    const base = W.interaction[it.type] || 0;
+    const days = it.pillars.filter((k) => k.endsWith(".day")).length;
+    // 日干どうしの干合は dayStem で数えたので重ねない
+    if (it.type === "干合" && days === 2) continue;
+    add(
+      "interaction",
+      `${it.pillars.map(pillarLabel).join("・")}が${it.type}（${it.members.join("")}）`,
+      base * W.dayPillarFactor[Math.min(days, 2)]
+    );
+  }
+
+  for (const person of ["a", "b"]) {
+    const e = elements[person];
+    if (!e.available) continue;
+    const partner = person === "a" ? "b" : "a";
+    if (e.partnerDominantGod) {
+      add(
+        "elements",
+        `${PERSON_LABEL[partner]}に多い${ELEMENT_LABEL[e.partnerDominant]}は${PERSON_LABEL[person]}の${GOD_LABEL[e.partnerDominantGod]}`,
+        W.partnerElement[e.partnerDominantGod]
+      );
+    }
+    for (const m of e.missingFilledByPartner) {
+      add(
+        "elements",
+        `${PERSON_LABEL[person]}に不足の${ELEMENT_LABEL[m]}を${PERSON_LABEL[partner]}が持つ`,
+        W.missingFilled
+      );
+    }
+  }
+
+  for (const person of ["a", "b"]) {
+    const partner = person === "a" ? "b" : "a";
+    for (const k of kuuBou[person].partnerPillars) {
+      add(
+        "kuuBou",
+        `${PERSON_LABEL[partner]}の${PILLAR_LABEL[k]}支が${PERSON_LABEL[person]}の空亡（${kuuBou[person].kuuBou.join("")}）`,
+        W.kuuBou[k] || 0
+      );
+    }
+  }
+
+  return breakdown;
+}
+
+function pillarLabel(key) {
+  const [person, pillar] = key.split(".");
+  return `${PERSON_LABEL[person]}${PILLAR_LABEL[pillar]}柱`;
+}
+
+function clamp(n, a, b) {
+  return Math.max(a, Math.min(b, n));
+}
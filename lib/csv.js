@@ -0,0 +1,76 @@
+// lib/csv.js
+// CSV の読み書き（RFC 4180：ダブルクォート・改行入りセル・CRLF に対応）
+//
+// 使い方：
+//   parseCsv(text)          -> [{ 見出し: 値, ... }, ...]   // 1行目を見出しとして読む
+//   toCsv(columns, rows)    -> "見出し,...\r\n値,...\r\n"
+//
+// NOTE:
+// - Excel 保存の UTF-8（BOM付き）も読めるよう、先頭の BOM は捨てる
+// - 空行は読み飛ばす
+// - 書き出しでは = + - @ タブ CR で始まる文字列セルの頭に ' を付け、Excel で数式として実行されないようにする
+//   （id・pref などは利用者の入力がそのまま出るため。数値セルはそのまま）
+
+export function parseCsv(text) {
+  const records = parseRecords(String(text || "").replace(/^\uFEFF/, ""));
+  if (!records.length) return [];
+
+  const header = records[0].map((h) => h.trim());
+  return records
+    .slice(1)
+    .filter((r) => r.some((v) => v.trim() !== ""))
+    .map((r) => Object.fromEntries(header.map((h, i) => [h, (r[i] ?? "").trim()])));
+}
+
+function parseRecords(text) {
+  const records = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+      continue;
+    }
+
+    if (ch === '"') quoted = true;
+    else if (ch === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell);
+      records.push(row);
+      row = [];
+      cell = "";
+    } else cell += ch;
+  }
+  if (quoted) throw new Error("Invalid CSV (unterminated quote)");
+  if (cell !== "" || row.length) {
+    row.push(cell);
+    records.push(row);
+  }
+  return records;
+}
+
+export function toCsv(columns, rows) {
+  const lines = [columns.map(escapeCell).join(",")];
+  for (const r of rows) lines.push(columns.map((c) => escapeCell(r[c])).join(","));
+  return lines.join("\r\n") + "\r\n";
+}
+
+function escapeCell(v) {
+  if (v === null || v === undefined) return "";
+  let s = String(v);
+  if (typeof v === "string" && /^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
@@ -0,0 +1,148 @@
+// lib/interactions.js
+// 柱どうしの関係：干合・支合・三合/半会・方合・冲・刑・害・破
+//
+// 使い方：
+//   findInteractions([{ key: "year", kan, shi }, ...])
+//     -> [{ type, pillars: ["year","day"], members: ["甲","己"], element? }, ...]
+//   findInteractionsWith(natalPillars, { key: "dayun", kan, shi })
+//     -> 追加の柱（大運・年運など）が関わるものだけ
+//
+// NOTE:
+// - 半会は三合の旺支（子・卯・午・酉）を含む二支のみ
+// - 三合・三刑が揃っている柱の組では、その内側の半会・刑（二支）は重ねて出さない
+
+const KANGOU = [
+  { members: ["甲", "己"], element: "earth" },
+  { members: ["乙", "庚"], element: "metal" },
+  { members: ["丙", "辛"], element: "water" },
+  { members: ["丁", "壬"], element: "wood" },
+  { members: ["戊", "癸"], element: "fire" },
+];
+
+const SHIGOU = [
+  { members: ["子", "丑"], element: "earth" },
+  { members: ["寅", "亥"], element: "wood" },
+  { members: ["卯", "戌"], element: "fire" },
+  { members: ["辰", "酉"], element: "metal" },
+  { members: ["巳", "申"], element: "water" },
+  { members: ["午", "未"], element: "fire" },
+];
+
+const SANGOU = [
+  { members: ["申", "子", "辰"], element: "water", center: "子" },
+  { members: ["亥", "卯", "未"], element: "wood", center: "卯" },
+  { members: ["寅", "午", "戌"], element: "fire", center: "午" },
+  { members: ["巳", "酉", "丑"], element: "metal", center: "酉" },
+];
+
+const HOUGOU = [
+  { members: ["寅", "卯", "辰"], element: "wood" },
+  { members: ["巳", "午", "未"], element: "fire" },
+  { members: ["申", "酉", "戌"], element: "metal" },
+  { members: ["亥", "子", "丑"], element: "water" },
+];
+
+const CHUU = [["子", "午"], ["丑", "未"], ["寅", "申"], ["卯", "酉"], ["辰", "戌"], ["巳", "亥"]];
+
+const SANKEI = [["寅", "巳", "申"], ["丑", "戌", "未"]];
+const KEI_PAIRS = [
+  ["寅", "巳"], ["巳", "申"], ["寅", "申"],
+  ["丑", "戌"], ["戌", "未"], ["丑", "未"],
+  ["子", "卯"],
+  ["辰", "辰"], ["午", "午"], ["酉", "酉"], ["亥", "亥"], // 自刑
+];
+
+const GAI = [["子", "未"], ["丑", "午"], ["寅", "巳"], ["卯", "辰"], ["申", "亥"], ["酉", "戌"]];
+const HA = [["子", "酉"], ["卯", "午"], ["辰", "丑"], ["未", "戌"], ["寅", "亥"], ["巳", "申"]];
+
+// ---- 組合せ ----
+function pairsOf(list) {
+  const out = [];
+  for (let i = 0; i < list.length; i++) {
+    for (let j = i + 1; j < list.length; j++) out.push([list[i], list[j]]);
+  }
+  return out;
+}
+function triplesOf(list) {
+  const out = [];
+  for (let i = 0; i < list.length; i++) {
+    for (let j = i + 1; j < list.length; j++) {
+      for (let k = j + 1; k < list.length; k++) out.push([list[i], list[j], list[k]]);
+    }
+  }
+  return out;
+}
+
+// 二支（または二干）が表の組と一致するか（順不同・同字の組も可）
+function samePair(a, b, pair) {
+  return (a === pair[0] && b === pair[1]) || (a === pair[1] && b === pair[0]);
+}
+function sameSet(values, members) {
+  return values.length === members.length && members.every((m) => values.includes(m));
+}
+
+function entry(type, group, field, extra = {}) {
+  return {
+    type,
+    pillars: group.map((p) => p.key),
+    members: group.map((p) => p[field]),
+    ...extra,
+  };
+}
+
+export function findInteractions(pillars) {
+  const list = pillars.filter((p) => p && p.kan && p.shi);
+  const out = [];
+
+  // ---- 三支の組（三合・方合・三刑）----
+  const coveredTriples = [];
+  for (const t of triplesOf(list)) {
+    const shis = t.map((p) => p.shi);
+    for (const g of SANGOU) {
+      if (sameSet(shis, g.members)) {
+        out.push(entry("三合", t, "shi", { element: g.element }));
+        coveredTriples.push({ kind: "合", keys: t.map((p) => p.key) });
+      }
+    }
+    for (const g of HOUGOU) {
+      if (sameSet(shis, g.members)) out.push(entry("方合", t, "shi", { element: g.element }));
+    }
+    for (const g of SANKEI) {
+      if (sameSet(shis, g)) {
+        out.push(entry("刑", t, "shi", { note: "三刑" }));
+        coveredTriples.push({ kind: "刑", keys: t.map((p) => p.key) });
+      }
+    }
+  }
+  const inside = (kind, a, b) =>
+    coveredTriples.some((c) => c.kind === kind && c.keys.includes(a.key) && c.keys.includes(b.key));
+
+  // ---- 二柱の組 ----
+  for (const [a, b] of pairsOf(list)) {
+    for (const g of KANGOU) {
+      if (samePair(a.kan, b.kan, g.members)) out.push(entry("干合", [a, b], "kan", { element: g.element }));
+    }
+    for (const g of SHIGOU) {
+      if (samePair(a.shi, b.shi, g.members)) out.push(entry("支合", [a, b], "shi", { element: g.element }));
+    }
+    for (const g of SANGOU) {
+      const half = a.shi !== b.shi && [a.shi, b.shi].includes(g.center);
+      if (half && g.members.includes(a.shi) && g.members.includes(b.shi) && !inside("合", a, b)) {
+        out.push(entry("半会", [a, b], "shi", { element: g.element }));
+      }
+    }
+    if (CHUU.some((p) => samePair(a.shi, b.shi, p))) out.push(entry("冲", [a, b], "shi"));
+    if (KEI_PAIRS.some((p) => samePair(a.shi, b.shi, p)) && !inside("刑", a, b)) {
+      out.push(entry("刑", [a, b], "shi", a.shi === b.shi ? { note: "自刑" } : {}));
+    }
+    if (GAI.some((p) => samePair(a.shi, b.shi, p))) out.push(entry("害", [a, b], "shi"));
+    if (HA.some((p) => samePair(a.shi, b.shi, p))) out.push(entry("破", [a, b], "shi"));
+  }
+
+  return out;
+}
+
+export function findInteractionsWith(natalPillars, extra) {
+  if (!extra || !extra.kan || !extra.shi) return [];
+  return findInteractions([...natalPillars, extra]).filter((x) => x.pillars.includes(extra.key));
+}
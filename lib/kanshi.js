@@ -0,0 +1,149 @@
+// lib/kanshi.js
+// 干支（六十干支）の基本：年柱・月干・日柱・時干・空亡
+//
+// 使い方：
+//   calcYearPillar(1990)                    -> { kan: "庚", shi: "午" }   // 立春年で渡す
+//   monthStemFromYearStem("庚", "寅")       -> "戊"
+//   calcDayPillar24({ y, m, d })            -> { kan, shi }              // 0:00 日替わり（JST の日付）
+//   hourStemFromDayStem("甲", "子")         -> "甲"
+//   calcKuuBouFromDayPillar("甲", "子")     -> ["戌", "亥"]
+//
+// NOTE:
+// - 境界（立春・節入り）の判定は呼び出し側の責務。ここは「どの年・どの支か」が決まった後の干支だけを扱う
+// - MONTH_BOUNDARIES は Magic 準拠の節入り“日”（日付固定）と、節の視黄経・月支の対応表を兼ねる
+
+export const STEMS = ["甲", "乙", "丙", "丁", "戊", "己", "庚", "辛", "壬", "癸"];
+export const BRANCHES = ["子", "丑", "寅", "卯", "辰", "巳", "午", "未", "申", "酉", "戌", "亥"];
+
+export function mod(a, m) {
+  return ((a % m) + m) % m;
+}
+
+export function sexagenaryFromIndex(idx) {
+  return { kan: STEMS[idx % 10], shi: BRANCHES[idx % 12] };
+}
+
+export function sexagenaryIndex(kan, shi) {
+  for (let i = 0; i < 60; i++) {
+    const p = sexagenaryFromIndex(i);
+    if (p.kan === kan && p.shi === shi) return i;
+  }
+  return 0;
+}
+
+// ---- 年 ----
+export function calcYearPillar(year) {
+  const idx = mod(year - 1984, 60); // 1984=甲子
+  return sexagenaryFromIndex(idx);
+}
+
+// ---- 月 ----
+// ※ MagicWands の “節入り日” に合わせる：ここは「日付固定」なので原則ズレない
+export const MONTH_BOUNDARIES = [
+  { m: 2, d: 4, angle: 315, name: "立春", branch: "寅" },
+  { m: 3, d: 6, angle: 345, name: "啓蟄", branch: "卯" },
+  { m: 4, d: 5, angle: 15, name: "清明", branch: "辰" },
+  { m: 5, d: 6, angle: 45, name: "立夏", branch: "巳" },
+  { m: 6, d: 6, angle: 75, name: "芒種", branch: "午" },
+  { m: 7, d: 7, angle: 105, name: "小暑", branch: "未" },
+  { m: 8, d: 8, angle: 135, name: "立秋", branch: "申" },
+  { m: 9, d: 8, angle: 165, name: "白露", branch: "酉" },
+  { m: 10, d: 8, angle: 195, name: "寒露", branch: "戌" },
+  { m: 11, d: 7, angle: 225, name: "立冬", branch: "亥" },
+  { m: 12, d: 7, angle: 255, name: "大雪", branch: "子" },
+  { m: 1, d: 6, angle: 285, name: "小寒", branch: "丑" },
+];
+
+// Magic 準拠：節入り“日”（日付固定・時刻無視）でその日の月の境界を引く
+export function getMonthBoundaryByDate(std) {
+  let best = null;
+
+  for (const b of MONTH_BOUNDARIES) {
+    // ✅ 修正2：小寒(1/6)は「立春(2/4)より前のときだけ」評価する（2/1〜2/3 も丑月）
+    if (b.m === 1 && !(std.m === 1 || (std.m === 2 && std.d < 4))) continue;
+
+    const before = std.m > b.m || (std.m === b.m && std.d >= b.d);
+    if (before) best = b;
+  }
+
+  // ✅ 1月で 1/6より前なら、前年の大雪(12/7)扱い
+  if (!best) {
+    best = MONTH_BOUNDARIES.find((x) => x.m === 12) || MONTH_BOUNDARIES[MONTH_BOUNDARIES.length - 1];
+  }
+
+  return best;
+}
+
+export function monthStemFromYearStem(yearStem, monthBranch) {
+  const startMap = {
+    "甲": "丙",
+    "己": "丙",
+    "乙": "戊",
+    "庚": "戊",
+    "丙": "庚",
+    "辛": "庚",
+    "丁": "壬",
+    "壬": "壬",
+    "戊": "甲",
+    "癸": "甲",
+  };
+  const order = ["寅", "卯", "辰", "巳", "午", "未", "申", "酉", "戌", "亥", "子", "丑"];
+  const startStem = startMap[yearStem] || "丙";
+  const k = order.indexOf(monthBranch);
+  const startIdx = STEMS.indexOf(startStem);
+  return STEMS[mod(startIdx + (k < 0 ? 0 : k), 10)];
+}
+
+// ---- 日（24時切替 = 0:00日替わり / JST）----
+export function calcDayPillar24(std) {
+  // 0:00で日替わりなので日付補正は不要
+  const jdn = julianDayNumber(std.y, std.m, std.d);
+  const idx = mod(jdn + 49, 60); // ✅ Magic基準合わせ（あなたの検証値）
+  return sexagenaryFromIndex(idx);
+}
+
+export function julianDayNumber(y, m, d) {
+  const a = Math.floor((14 - m) / 12);
+  const y2 = y + 4800 - a;
+  const m2 = m + 12 * a - 3;
+  return (
+    d +
+    Math.floor((153 * m2 + 2) / 5) +
+    365 * y2 +
+    Math.floor(y2 / 4) -
+    Math.floor(y2 / 100) +
+    Math.floor(y2 / 400) -
+    32045
+  );
+}
+
+// ---- 時 ----
+export function hourStemFromDayStem(dayStem, hourBranch) {
+  const startMap = {
+    "甲": "甲",
+    "己": "甲",
+    "乙": "丙",
+    "庚": "丙",
+    "丙": "戊",
+    "辛": "戊",
+    "丁": "庚",
+    "壬": "庚",
+    "戊": "壬",
+    "癸": "壬",
+  };
+  const startStem = startMap[dayStem] || "甲";
+  const startIdx = STEMS.indexOf(startStem);
+  const k = BRANCHES.indexOf(hourBranch);
+  return STEMS[mod(startIdx + (k < 0 ? 0 : k), 10)];
+}
+
+// ---- 空亡（天中殺）：干支の属する旬で余る二支 ----
+export function calcKuuBouFromDayPillar(dayStem, dayBranch) {
+  const idx = sexagenaryIndex(dayStem, dayBranch);
+  const junStart = idx - (idx % 10);
+  const startBranch = BRANCHES[junStart % 12];
+  const startBi = BRANCHES.indexOf(startBranch);
+  const v1 = BRANCHES[mod(startBi - 2, 12)];
+  const v2 = BRANCHES[mod(startBi - 1, 12)];
+  return [v1, v2];
+}
@@ -0,0 +1,89 @@
+// lib/places.js
+// 出生地 → 緯度経度（オフライン表）
+//
+// 使い方：
+//   resolvePlace({ country, pref, latitude, longitude })
+//     -> { country, pref, latitude, longitude, source } | null
+//
+// NOTE:
+// - 都道府県は「県庁所在地」の座標で代表させる（真太陽時の経度補正用途には十分）
+// - latitude/longitude が明示されていればそちらを優先
+
+// 都道府県（県庁所在地）: [緯度, 経度]
+const JP_PREFECTURES = {
+  北海道: [43.0642, 141.3469],
+  青森県: [40.8244, 140.7400],
+  岩手県: [39.7036, 141.1527],
+  宮城県: [38.2688, 140.8721],
+  秋田県: [39.7186, 140.1024],
+  山形県: [38.2404, 140.3633],
+  福島県: [37.7503, 140.4676],
+  茨城県: [36.3418, 140.4468],
+  栃木県: [36.5658, 139.8836],
+  群馬県: [36.3911, 139.0608],
+  埼玉県: [35.8569, 139.6489],
+  千葉県: [35.6046, 140.1233],
+  東京都: [35.6895, 139.6917],
+  神奈川県: [35.4478, 139.6425],
+  新潟県: [37.9026, 139.0236],
+  富山県: [36.6953, 137.2113],
+  石川県: [36.5947, 136.6256],
+  福井県: [36.0652, 136.2216],
+  山梨県: [35.6642, 138.5684],
+  長野県: [36.6513, 138.1810],
+  岐阜県: [35.3912, 136.7223],
+  静岡県: [34.9769, 138.3831],
+  愛知県: [35.1802, 136.9066],
+  三重県: [34.7303, 136.5086],
+  滋賀県: [35.0045, 135.8686],
+  京都府: [35.0214, 135.7556],
+  大阪府: [34.6863, 135.5200],
+  兵庫県: [34.6913, 135.1830],
+  奈良県: [34.6851, 135.8329],
+  和歌山県: [34.2260, 135.1675],
+  鳥取県: [35.5039, 134.2383],
+  島根県: [35.4723, 133.0505],
+  岡山県: [34.6618, 133.9350],
+  広島県: [34.3966, 132.4596],
+  山口県: [34.1859, 131.4714],
+  徳島県: [34.0658, 134.5593],
+  香川県: [34.3401, 134.0434],
+  愛媛県: [33.8417, 132.7661],
+  高知県: [33.5597, 133.5311],
+  福岡県: [33.6064, 130.4181],
+  佐賀県: [33.2494, 130.2988],
+  長崎県: [32.7448, 129.8737],
+  熊本県: [32.7898, 130.7417],
+  大分県: [33.2382, 131.6126],
+  宮崎県: [31.9111, 131.4239],
+  鹿児島県: [31.5602, 130.5581],
+  沖縄県: [26.2124, 127.6809],
+};
+
+// "東京" / "大阪" のような都道府県の省略も許容
+function findPrefecture(pref) {
+  if (!pref) return null;
+  if (JP_PREFECTURES[pref]) return pref;
+  for (const suffix of ["都", "道", "府", "県"]) {
+    if (JP_PREFECTURES[pref + suffix]) return pref + suffix;
+  }
+  return null;
+}
+
+function isFiniteInRange(v, min, max) {
+  return typeof v === "number" && Number.isFinite(v) && v >= min && v <= max;
+}
+
+export function resolvePlace({ country, pref, latitude, longitude } = {}) {
+  if (isFiniteInRange(latitude, -90, 90) && isFiniteInRange(longitude, -180, 180)) {
+    return { country: country || "", pref: pref || "", latitude, longitude, source: "explicit" };
+  }
+
+  if ((country || "JP") !== "JP") return null;
+
+  const name = findPrefecture(pref);
+  if (!name) return null;
+
+  const [lat, lon] = JP_PREFECTURES[name];
+  return { country: "JP", pref: name, latitude: lat, longitude: lon, source: "pref_table" };
+}
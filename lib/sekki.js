@@ -2,15 +2,29 @@
 // Phase A++: 24節気（または月柱用12節）の「節入り時刻」を太陽視黄経で分単位精密化
 //
 // 使い方：
-//   buildJie12Utc(year) -> 月柱境界用12節（315,345,15,...,285）
-//   buildJie24Utc(year) -> 24節気（0,15,30,...,345）
+//   buildJie12Utc(year, { ephemeris }?) -> 月柱境界用12節（315,345,15,...,285）
+//   buildJie24Utc(year, { ephemeris }?) -> 24節気（0,15,30,...,345）
+//   findJieAroundUtc(dateUtc, isOnOrAfter?, { ephemeris }?) -> { prev, next }（指定時刻を挟む月柱境界用12節）
 //
 // 戻り値：[{ name, angle, timeUtc: Date }, ...]
 //
+// ephemeris（太陽視黄経の計算法）：
+// - "noaa"（既定・従来どおり）：NOAA系の近似。章動・光行差は簡易式で ΔT も無視するため、
+//   節入り時刻が最大13分ほどずれる（1900〜2100年の astronomy-engine の計算値との比較）
+// - "vsop87"：VSOP87 打ち切り版＋章動（IAU 1980・63項）＋光行差＋ΔT（lib/vsop87.js）
+//   1900〜2100年の astronomy-engine の計算値（二十四節気 4824件）との差は最大49秒、国立天文台『暦要項』の25件とは1分以内
+//
+// 検証：npm run compare:sekki-astronomy-engine（scripts/compare-sekki-astronomy-engine.js）
+//   別ライブラリとの比較で、公表値（暦要項）との照合は25件のスポットチェックのみ
+//
 // NOTE:
-// - NOAA系の近似（太陽視黄経）+ 二分探索。
-// - 四柱推命用途の「節入り境界」には十分実用（分単位〜秒単位）。
-// - 将来さらに高精度（VSOP87等）へ差し替えたい場合は solarApparentLongitudeDegUtc を置換。
+// - 太陽視黄経 + 二分探索。
+// - sekki_time の minute/second 精度など、節入り時刻そのものを境界に使うなら vsop87 を推奨。
+// - 年ごとの節入り表はメモリにキャッシュする（同じ年・同じ ephemeris は一度だけ計算）
+
+import { deltaTSeconds, solarApparentLongitudeDegTt } from "./vsop87.js";
+
+export const SEKKI_EPHEMERIS = ["noaa", "vsop87"];
 
 // ---- 表示用（JST） ----
 export function formatJst(dateUtc) {
@@ -22,6 +36,11 @@ export function formatJst(dateUtc) {
   const mm = String(jst.getUTCMinutes()).padStart(2, "0");
   return `${y}-${m}-${d} ${hh}:${mm}`;
 }
+export function formatJstSec(dateUtc) {
+  const jst = new Date(dateUtc.getTime() + 9 * 3600 * 1000);
+  const ss = String(jst.getUTCSeconds()).padStart(2, "0");
+  return `${formatJst(dateUtc)}:${ss}`;
+}
 
 // ---- 角度ユーティリティ ----
 function norm360(deg) {
@@ -88,8 +107,23 @@ function solarApparentLongitudeDegUtc(dateUtc) {
   return norm360(lambdaApp);
 }
 
+// ---- VSOP87 + ΔT：UT の時刻を力学時（TT）へ直して視黄経を出す ----
+function solarApparentLongitudeDegVsop87(dateUtc) {
+  const dt = deltaTSeconds(dateUtc.getUTCFullYear(), dateUtc.getUTCMonth() + 1);
+  return solarApparentLongitudeDegTt(toJulianDay(dateUtc) + dt / 86400);
+}
+
+const LONGITUDE_BY_EPHEMERIS = {
+  noaa: solarApparentLongitudeDegUtc,
+  vsop87: solarApparentLongitudeDegVsop87,
+};
+
+function longitudeFnOf(ephemeris) {
+  return LONGITUDE_BY_EPHEMERIS[ephemeris || "noaa"] || solarApparentLongitudeDegUtc;
+}
+
 // ---- 二分探索で λ = targetDeg の時刻を求める ----
-function findTimeForSolarLongitudeUtc(targetDeg, approxJd, windowDays = 3) {
+function findTimeForSolarLongitudeUtc(targetDeg, approxJd, windowDays = 3, longitudeOf = solarApparentLongitudeDegUtc) {
   // まず近傍で符号反転する区間を探す
   const stepHours = 6; // 粗探索（6h刻み）
   const stepDays = stepHours / 24;
@@ -98,12 +132,12 @@ function findTimeForSolarLongitudeUtc(targetDeg, approxJd, windowDays = 3) {
   const endJd = approxJd + windowDays;
 
   let prevJd = startJd;
-  let prevDiff = angDiffSigned(targetDeg, solarApparentLongitudeDegUtc(fromJulianDay(prevJd)));
+  let prevDiff = angDiffSigned(targetDeg, longitudeOf(fromJulianDay(prevJd)));
 
   let bracket = null;
 
   for (let jd = startJd + stepDays; jd <= endJd + 1e-9; jd += stepDays) {
-    const curDiff = angDiffSigned(targetDeg, solarApparentLongitudeDegUtc(fromJulianDay(jd)));
+    const curDiff = angDiffSigned(targetDeg, longitudeOf(fromJulianDay(jd)));
 
     // 符号が変わる or ほぼゼロに近い
     if ((prevDiff === 0) || (curDiff === 0) || (prevDiff < 0 && curDiff > 0) || (prevDiff > 0 && curDiff < 0)) {
@@ -117,7 +151,7 @@ function findTimeForSolarLongitudeUtc(targetDeg, approxJd, windowDays = 3) {
   if (!bracket) {
     // 万一見つからない場合、窓を広げてリトライ（年末年始の跨ぎ等の保険）
     const w2 = windowDays * 2;
-    if (w2 <= 14) return findTimeForSolarLongitudeUtc(targetDeg, approxJd, w2);
+    if (w2 <= 14) return findTimeForSolarLongitudeUtc(targetDeg, approxJd, w2, longitudeOf);
     // ここまで来たら諦め（通常起きない）
     return fromJulianDay(approxJd);
   }
@@ -128,8 +162,8 @@ function findTimeForSolarLongitudeUtc(targetDeg, approxJd, windowDays = 3) {
 
   for (let i = 0; i < 60; i++) { // 2^-60 day ≒ 0.001s 未満
     const mid = (lo + hi) / 2;
-    const diffLo = angDiffSigned(targetDeg, solarApparentLongitudeDegUtc(fromJulianDay(lo)));
-    const diffMid = angDiffSigned(targetDeg, solarApparentLongitudeDegUtc(fromJulianDay(mid)));
+    const diffLo = angDiffSigned(targetDeg, longitudeOf(fromJulianDay(lo)));
+    const diffMid = angDiffSigned(targetDeg, longitudeOf(fromJulianDay(mid)));
 
     if (diffMid === 0) {
       lo = hi = mid;
@@ -158,8 +192,9 @@ function approxJdForTargetLongitude(year, targetDeg) {
   // 基点の視黄経（実際は年でズレるので補正する）
   const baseLon = solarApparentLongitudeDegUtc(base);
 
-  // target - baseLon の差を [-180,180) にして日数換算
-  const dDeg = angDiffSigned(targetDeg, baseLon);
+  // target - baseLon の差を日数換算。春分から見た角度（-180〜+165）と基点のずれ（±1°程度）に分けて足す
+  // （まとめて [-180,180) に丸めると、秋分（180°）だけ基点の前後で前年・当年のどちらにもなり、どの年にも入らない年が出る）
+  const dDeg = angDiffSigned(targetDeg, 0) + angDiffSigned(0, baseLon);
   const days = dDeg / 0.98564736; // 平均日周運動（deg/day）
 
   return baseJd + days;
@@ -210,25 +245,52 @@ const JIE12_FOR_MONTH = [
 ];
 
 // ---- 公開API ----
-export function buildJie24Utc(year) {
-  const out = [];
-  for (const j of JIE24) {
-    const approxJd = approxJdForTargetLongitude(year, j.angle);
-    const timeUtc = findTimeForSolarLongitudeUtc(j.angle, approxJd, 4);
-    out.push({ name: j.name, angle: j.angle, timeUtc });
-  }
-  out.sort((a, b) => a.timeUtc.getTime() - b.timeUtc.getTime());
-  return out;
+export function buildJie24Utc(year, { ephemeris } = {}) {
+  return buildJieCached("24", JIE24, year, ephemeris);
 }
 
-export function buildJie12Utc(year) {
+export function buildJie12Utc(year, { ephemeris } = {}) {
   // 既存API名を維持（あなたの api/shichusuimei.js が import しているため）
-  const out = [];
-  for (const j of JIE12_FOR_MONTH) {
-    const approxJd = approxJdForTargetLongitude(year, j.angle);
-    const timeUtc = findTimeForSolarLongitudeUtc(j.angle, approxJd, 4);
-    out.push({ name: j.name, angle: j.angle, timeUtc });
+  return buildJieCached("12", JIE12_FOR_MONTH, year, ephemeris);
+}
+
+const jieCache = new Map();
+
+function buildJieCached(kind, table, year, ephemeris) {
+  const key = `${kind}:${ephemeris || "noaa"}:${year}`;
+  if (!jieCache.has(key)) {
+    const longitudeOf = longitudeFnOf(ephemeris);
+    const out = [];
+    for (const j of table) {
+      const approxJd = approxJdForTargetLongitude(year, j.angle);
+      const timeUtc = findTimeForSolarLongitudeUtc(j.angle, approxJd, 4, longitudeOf);
+      out.push({ name: j.name, angle: j.angle, timeUtc });
+    }
+    out.sort((a, b) => a.timeUtc.getTime() - b.timeUtc.getTime());
+    jieCache.set(key, out);
+  }
+  // 呼び出し側が並べ替え・追加しても表を壊さないよう、配列と Date は複製して返す
+  return jieCache.get(key).map((j) => ({ ...j, timeUtc: new Date(j.timeUtc.getTime()) }));
+}
+
+// 指定時刻（UTC）の直前・直後の12節を返す（年跨ぎも考慮して前後年を結合）
+// isOnOrAfter(dateUtc, boundaryUtc): 境界の「後」扱いか（精度・同時刻の扱いは呼び出し側で決める）
+export function findJieAroundUtc(
+  dateUtc,
+  isOnOrAfter = (t, b) => t.getTime() >= b.getTime(),
+  { ephemeris } = {}
+) {
+  const y = new Date(dateUtc.getTime() + 9 * 3600 * 1000).getUTCFullYear();
+  const all = [
+    ...buildJie12Utc(y - 1, { ephemeris }),
+    ...buildJie12Utc(y, { ephemeris }),
+    ...buildJie12Utc(y + 1, { ephemeris }),
+  ];
+  let prev = null;
+  let next = null;
+  for (const j of all) {
+    if (isOnOrAfter(dateUtc, j.timeUtc)) prev = j;
+    else if (!next) next = j;
   }
-  out.sort((a, b) => a.timeUtc.getTime() - b.timeUtc.getTime());
-  return out;
+  return { prev, next };
 }
@@ -0,0 +1,121 @@
+// lib/shensha.js
+// 神殺（特殊星）：日干・年支・日支を起点に、各柱の支に現れる星を引く
+//
+// 使い方：
+//   findNatalShensha({ dayStem, yearBranch, dayBranch }, { year, month, day, hour })
+//     -> [{ name, base, pillars: ["year", ...] }, ...]
+//   findShenshaForBranch({ dayStem, yearBranch, dayBranch }, branch)
+//     -> [{ name, base }, ...]   // 大運・年運など外から巡ってくる支用
+//
+// NOTE:
+// - 星は SHENSHA_CATALOG の行を足すだけで増やせる（table: 起点の干/支 → 該当する支）
+// - 支起点の星は、起点の柱そのものには付けない（年支起点なら年柱以外を見る）
+// - 羊刃は陽干のみ（陰干の羊刃は流派差が大きいため採らない）
+
+// 三合の局ごとに同じ支を当てる星（駅馬・桃花など）の表を展開
+function byTriad(map) {
+  const triads = {
+    申子辰: ["申", "子", "辰"],
+    寅午戌: ["寅", "午", "戌"],
+    巳酉丑: ["巳", "酉", "丑"],
+    亥卯未: ["亥", "卯", "未"],
+  };
+  const out = {};
+  for (const [key, target] of Object.entries(map)) {
+    for (const b of triads[key]) out[b] = [target];
+  }
+  return out;
+}
+
+const BRANCH_BASES = ["yearBranch", "dayBranch"];
+
+export const SHENSHA_CATALOG = [
+  {
+    name: "天乙貴人",
+    bases: ["dayStem"],
+    table: {
+      甲: ["丑", "未"],
+      戊: ["丑", "未"],
+      庚: ["丑", "未"],
+      乙: ["子", "申"],
+      己: ["子", "申"],
+      丙: ["亥", "酉"],
+      丁: ["亥", "酉"],
+      辛: ["寅", "午"],
+      壬: ["卯", "巳"],
+      癸: ["卯", "巳"],
+    },
+  },
+  {
+    name: "文昌貴人",
+    bases: ["dayStem"],
+    table: {
+      甲: ["巳"], 乙: ["午"], 丙: ["申"], 丁: ["酉"], 戊: ["申"],
+      己: ["酉"], 庚: ["亥"], 辛: ["子"], 壬: ["寅"], 癸: ["卯"],
+    },
+  },
+  {
+    name: "禄神",
+    bases: ["dayStem"],
+    table: {
+      甲: ["寅"], 乙: ["卯"], 丙: ["巳"], 丁: ["午"], 戊: ["巳"],
+      己: ["午"], 庚: ["申"], 辛: ["酉"], 壬: ["亥"], 癸: ["子"],
+    },
+  },
+  {
+    name: "羊刃",
+    bases: ["dayStem"],
+    table: { 甲: ["卯"], 丙: ["午"], 戊: ["午"], 庚: ["酉"], 壬: ["子"] },
+  },
+  {
+    name: "金輿",
+    bases: ["dayStem"],
+    table: {
+      甲: ["辰"], 乙: ["巳"], 丙: ["未"], 丁: ["申"], 戊: ["未"],
+      己: ["申"], 庚: ["戌"], 辛: ["亥"], 壬: ["丑"], 癸: ["寅"],
+    },
+  },
+  {
+    name: "紅艶",
+    bases: ["dayStem"],
+    table: {
+      甲: ["午"], 乙: ["午"], 丙: ["寅"], 丁: ["未"], 戊: ["辰"],
+      己: ["辰"], 庚: ["戌"], 辛: ["酉"], 壬: ["子"], 癸: ["申"],
+    },
+  },
+  { name: "駅馬", bases: BRANCH_BASES, table: byTriad({ 申子辰: "寅", 寅午戌: "申", 巳酉丑: "亥", 亥卯未: "巳" }) },
+  { name: "桃花", bases: BRANCH_BASES, table: byTriad({ 申子辰: "酉", 寅午戌: "卯", 巳酉丑: "午", 亥卯未: "子" }) },
+  { name: "華蓋", bases: BRANCH_BASES, table: byTriad({ 申子辰: "辰", 寅午戌: "戌", 巳酉丑: "丑", 亥卯未: "未" }) },
+  { name: "将星", bases: BRANCH_BASES, table: byTriad({ 申子辰: "子", 寅午戌: "午", 巳酉丑: "酉", 亥卯未: "卯" }) },
+  { name: "劫殺", bases: BRANCH_BASES, table: byTriad({ 申子辰: "巳", 寅午戌: "亥", 巳酉丑: "寅", 亥卯未: "申" }) },
+  { name: "亡神", bases: BRANCH_BASES, table: byTriad({ 申子辰: "亥", 寅午戌: "巳", 巳酉丑: "申", 亥卯未: "寅" }) },
+];
+
+// 起点（base）→ その起点が属する柱（支起点の星で自柱を除くため）
+const BASE_PILLAR = { yearBranch: "year", dayBranch: "day" };
+
+export function findNatalShensha(origin, branches) {
+  const out = [];
+  for (const star of SHENSHA_CATALOG) {
+    for (const base of star.bases) {
+      const targets = star.table[origin[base]] || [];
+      const pillars = ["year", "month", "day", "hour"].filter(
+        (k) => branches[k] && k !== BASE_PILLAR[base] && targets.includes(branches[k])
+      );
+      if (pillars.length) out.push({ name: star.name, base, pillars });
+    }
+  }
+  return out;
+}
+
+export function findShenshaForBranch(origin, branch) {
+  const out = [];
+  if (!branch) return out;
+  for (const star of SHENSHA_CATALOG) {
+    for (const base of star.bases) {
+      const targets = star.table[origin[base]] || [];
+      if (targets.includes(branch)) out.push({ name: star.name, base });
+    }
+  }
+  return out;
+}
@@ -0,0 +1,2074 @@
+// lib/shichusuimei.js
+/**
+ * Magic Wands 準拠・暦ベース四柱推命エンジン（名刺＝柱ズレ防止版）
+ *
+ * 方針：
+ * - 既定は天文計算・秒単位節入りを使用しない（節入り“日”で固定）
+ * - 年柱：立春「日」基準（2/4） ※時刻無視
+ * - 月柱：節「日」基準（時刻無視 / Magic準拠）
+ * - opt-in：sekkiBoundaryMode="sekki_time" で lib/sekki.js の節入り時刻から年柱・月柱を決める
+ *   （sekkiBoundaryPrecision: day/minute/second, sekkiBoundaryTieBreak: before/after）
+ * - 節入り時刻の計算法：sekkiEphemeris="noaa"（既定）/ "vsop87"（高精度・ΔT込み）。立運・司令・月運・境界チェックにも効く
+ * - 日柱：既定は24時切替（= 0:00で日替わり / JST）  ← ★B仕様
+ *   dayBoundaryMode="23"（23:00日替わり）/ "zishi_split"（早子・夜子）も選択可
+ * - 時柱：JSTそのまま
+ * - 時刻不明（time 空欄 / timeUnknown=true）：三柱（時柱なし）で出し、日内で変わり得る柱・時柱候補（子刻は前後半の2区間）・
+ *   節入り日の別命式を derived.timeUnknown に返す
+ * - 境界チェック：meta.used.yearBoundaryCheck / monthBoundaryCheck / dayBoundaryCheck に節入り時刻と距離（分）、
+ *   境界付近・流派差で柱が揺れる場合は meta.boundaryAmbiguity に別命式を返す
+ * - 入力時刻は出生地の現地時刻：birthPlace.timeZone（IANA）/ utcOffset で JST の瞬間へ換算
+ *   （日本は戦後サマータイム 1948〜1951 をオフライン表で反映）
+ * - opt-in：timeMode="trueSolar" で出生地の経度差＋均時差を補正し、日柱・時柱を真太陽時で出す
+ * - 運勢の「現在」（大運・年運・年齢・月運・日運の既定）は asOf（JST・既定は現在時刻）で決め、input.asOf に返す
+ * - 「命式は原則ズレない」思想に準拠
+ *
+ * 出力：
+ * - 既存API互換のため input/meta/pillars/derived を返す
+ *
+ * 使い方：
+ *   calcShichusuimei(body) -> { ok: true, input, meta, pillars, derived }（入力エラーは throw）
+ *   /api/shichusuimei・/api/compatibility・/api/tenchusatsu から呼ぶ
+ */
+
+import { SEKKI_EPHEMERIS, buildJie12Utc, findJieAroundUtc, formatJst, formatJstSec } from "./sekki.js";
+import { findInteractions, findInteractionsWith } from "./interactions.js";
+import { resolvePlace } from "./places.js";
+import { findNatalShensha, findShenshaForBranch } from "./shensha.js";
+import { formatUtcOffset, localPartsToUtc, resolveTimeZone } from "./timezone.js";
+import { trueSolarCorrection } from "./solartime.js";
+import {
+  BRANCHES,
+  MONTH_BOUNDARIES,
+  STEMS,
+  calcDayPillar24,
+  calcKuuBouFromDayPillar,
+  calcYearPillar,
+  getMonthBoundaryByDate,
+  hourStemFromDayStem,
+  mod,
+  monthStemFromYearStem,
+  sexagenaryFromIndex,
+  sexagenaryIndex,
+} from "./kanshi.js";
+
+export function calcShichusuimei(body) {
+  const input = normalizeInput(body);
+
+  // --- 現地時刻 → JST → 年柱・月柱・日柱（時刻不明なら 12:00 を仮置き） ---
+  const local = parseLocalDateTime(input.date, input.timeUnknown ? "" : input.time);
+  const core = calcCorePillars(local, input);
+  const { zone, tz, std, boundaries, yearPillar, monthPillar, place, solar, used, dayPillar } = core;
+  const yearForPillar = boundaries.yearForPillar;
+
+  // --- 時柱（入力時刻がある時のみ） ---
+  const hourPillar = input.timeUnknown
+    ? null
+    : calcHourPillar(used, dayPillar.kan, input.dayBoundaryMode);
+
+  // --- 時刻不明：日内で変わり得る柱・時柱候補・節入り日の別命式 ---
+  const timeUnknown = input.timeUnknown ? calcTimeUnknown(local, input, core) : null;
+
+  // --- 境界チェック（立春・節入り・0:00）と、揺れる場合の別命式（時刻不明時は timeUnknown 側で扱う） ---
+  const boundaryChecks = calcBoundaryChecks(core);
+  const boundaryAmbiguity = hourPillar
+    ? calcBoundaryAmbiguity(local, input, core, hourPillar, boundaryChecks)
+    : null;
+
+  // ---- Derived（鑑定に使う“名刺の読み解き”） ----
+  const tenDeity = calcTenDeity(
+    yearPillar.kan,
+    monthPillar.kan,
+    dayPillar.kan,
+    hourPillar?.kan
+  );
+
+  // --- 月支の司令（人元用事）：節入りからの経過日数で蔵干を一つ選ぶ ---
+  const activeZokan = calcActiveZokan(
+    tz.utc,
+    monthPillar.shi,
+    dayPillar.kan,
+    input.zokanBunyaSchool,
+    input.sekkiEphemeris
+  );
+
+  const zokanTenDeity = calcZokanTenDeity(
+    yearPillar.shi,
+    monthPillar.shi,
+    dayPillar.shi,
+    hourPillar?.shi,
+    dayPillar.kan
+  );
+  zokanTenDeity.month = zokanTenDeity.month.map((z) => ({
+    ...z,
+    active: z.stem === activeZokan.stem,
+  }));
+  // 分野表には蔵干に無い干もある（子の壬・卯の甲・午の丙・酉の庚・亥の戊など）。司令がそれなら末尾に足す
+  if (!zokanTenDeity.month.some((z) => z.active)) {
+    zokanTenDeity.month.push({
+      stem: activeZokan.stem,
+      deity: activeZokan.deity,
+      active: true,
+      bunyaOnly: true,
+    });
+  }
+
+  const fiveElements = calcFiveElementsCounts(
+    [yearPillar.kan, monthPillar.kan, dayPillar.kan].concat(
+      hourPillar?.kan ? [hourPillar.kan] : []
+    ),
+    [yearPillar.shi, monthPillar.shi, dayPillar.shi].concat(
+      hourPillar?.shi ? [hourPillar.shi] : []
+    ),
+    monthPillar.shi
+  );
+
+  const natalPillars = natalPillarsOf(yearPillar, monthPillar, dayPillar, hourPillar);
+
+  const strength = calcDayMasterStrength(natalPillars, fiveElements.counts);
+
+  const twelveStages = calcTwelveStages(
+    yearPillar.shi,
+    monthPillar.shi,
+    dayPillar.shi,
+    hourPillar?.shi,
+    dayPillar.kan,
+    input.twelveStageMode
+  );
+
+  const shenshaOrigin = {
+    dayStem: dayPillar.kan,
+    yearBranch: yearPillar.shi,
+    dayBranch: dayPillar.shi,
+  };
+
+  // 「現在」の大運・年運・年齢・月運・日運の基準日時（未指定ならサーバの現在時刻）
+  const asOf = input.asOf || nowJstDateParts();
+
+  const luck = calcLuckAll({
+    birthStd: std,
+    birthUtc: tz.utc,
+    sex: normalizeSex(input.sex),
+    yearStem: yearPillar.kan,
+    monthPillar,
+    dayStem: dayPillar.kan,
+    dayBranch: dayPillar.shi,
+    twelveStageMode: input.twelveStageMode,
+    shenshaOrigin,
+    natalPillars,
+    strength,
+    getsuunYear: input.getsuunYear,
+    nichiunRange: input.nichiunRange,
+    nenunRange: input.nenunRange,
+    asOf,
+    sekkiEphemeris: input.sekkiEphemeris,
+  });
+
+  // 神殺：命式の各柱 + 現在の大運・年運
+  const shensha = {
+    natal: findNatalShensha(shenshaOrigin, {
+      year: yearPillar.shi,
+      month: monthPillar.shi,
+      day: dayPillar.shi,
+      hour: hourPillar?.shi,
+    }),
+    currentDayun: luck.currentDayun?.shensha || [],
+    currentNenun: luck.currentNenun?.shensha || [],
+  };
+
+  // 合・冲・刑・害・破：命式内 + 現在の大運・年運と命式
+  const interactions = {
+    natal: findInteractions(natalPillars),
+    currentDayun: luck.currentDayun?.interactions || [],
+    currentNenun: luck.currentNenun?.interactions || [],
+  };
+
+  const kakkyoku = calcKakkyoku(natalPillars, strength, interactions.natal);
+
+  const resp = {
+    ok: true,
+    input: {
+      date: input.date,
+      time: input.time,
+      timeUnknown: input.timeUnknown,
+      sex: normalizeSex(input.sex) || "",
+      birthPlace: input.birthPlace,
+
+      // ✅ 互換用（timeMode等は固定値 / sekkiBoundary* は実際に使用した値）
+      timeMode: input.timeMode,
+      dayBoundaryMode: input.dayBoundaryMode, // ★B仕様（既定）："24" = 0:00切替
+      boundaryTimeRef: "standard",
+      sekkiBoundaryMode: input.sekkiBoundaryMode,
+      sekkiBoundaryPrecision: input.sekkiBoundaryPrecision,
+      sekkiBoundaryTieBreak: input.sekkiBoundaryTieBreak,
+      sekkiEphemeris: input.sekkiEphemeris,
+      twelveStageMode: input.twelveStageMode,
+      zokanBunyaSchool: input.zokanBunyaSchool,
+      asOf: formatAsOf(asOf), // JST。指定が無ければ計算した時刻
+    },
+    meta: {
+      standard: {
+        y: std.y,
+        m: std.m,
+        d: std.d,
+        time: formatHM(std.hh, std.mm),
+      },
+      used: {
+        // Magic思想：used=standard（補正無し）。trueSolar 時は補正後の時刻
+        y: used.y,
+        m: used.m,
+        d: used.d,
+        time: formatHM(used.hh, used.mm),
+        timeMode: input.timeMode,
+        correctionMin: solar ? Math.round(solar.correction.totalMin * 100) / 100 : 0,
+        dayBoundaryModeUsed: input.dayBoundaryMode,
+
+        yearPillarYearUsed: yearForPillar,
+        monthBoundary: boundaries.monthBoundaryMeta,
+        yearBoundary: boundaries.yearBoundaryMeta,
+        yearBoundaryCheck: boundaryChecks.yearBoundaryCheck,
+        monthBoundaryCheck: boundaryChecks.monthBoundaryCheck,
+        dayBoundaryCheck: boundaryChecks.dayBoundaryCheck,
+
+        sekkiUsed: boundaries.sekkiUsed,
+        sekkiBoundaryModeUsed: input.sekkiBoundaryMode,
+        sekkiBoundaryPrecisionUsed: input.sekkiBoundaryPrecision,
+        sekkiBoundaryTieBreakUsed: input.sekkiBoundaryTieBreak,
+        sekkiEphemerisUsed: input.sekkiEphemeris,
+      },
+      boundaryAmbiguity,
+      timeZone: {
+        name: zone.name,
+        source: zone.kind,
+        utcOffset: formatUtcOffset(tz.offsetMin),
+        offsetMin: tz.offsetMin,
+        dstApplied: tz.dstApplied,
+        ambiguous: tz.ambiguous,
+        nonexistent: tz.nonexistent,
+        local: {
+          y: local.y,
+          m: local.m,
+          d: local.d,
+          time: formatHM(local.hh, local.mm),
+        },
+        utc: tz.utc.toISOString(),
+      },
+      place: {
+        // 互換枠（Magic思想では計算に未使用。trueSolar 時のみ経度・均時差を使用）
+        country: input.birthPlace?.country || "JP",
+        pref: input.birthPlace?.pref || "",
+        latitude: place?.latitude ?? null,
+        longitude: place?.longitude ?? null,
+        source: place?.source ?? null,
+        lonCorrectionMin: solar ? solar.correction.lonCorrectionMin : null,
+        eqTimeMin: solar ? solar.correction.eqTimeMin : null,
+      },
+    },
+    pillars: {
+      year: { ...yearPillar, zokan: getZokan(yearPillar.shi), rule: boundaries.yearRule },
+      month: {
+        ...monthPillar,
+        zokan: getZokan(monthPillar.shi),
+        activeZokan,
+        rule: boundaries.monthRule,
+      },
+      day: { ...dayPillar, zokan: getZokan(dayPillar.shi), rule: DAY_RULES[input.dayBoundaryMode] }, // ★
+      hour: hourPillar
+        ? { ...hourPillar, zokan: getZokan(hourPillar.shi), rule: solar ? "hour_true_solar" : "hour_jst" }
+        : null,
+    },
+    derived: {
+      tenDeity,
+      zokanTenDeity,
+      twelveStages,
+      shensha,
+      interactions,
+      fiveElements,
+      strength,
+      kakkyoku,
+      luck,
+      timeUnknown,
+    },
+  };
+
+  return resp;
+}
+
+// ------------------------------
+// Input
+// ------------------------------
+function normalizeInput(body) {
+  const date = safeString(body?.date);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) throw new Error("Invalid date (expected YYYY-MM-DD)");
+
+  const timeRaw = safeString(body?.time);
+  if (timeRaw && !/^\d{2}:\d{2}(:\d{2})?$/.test(timeRaw)) {
+    throw new Error("Invalid time (expected HH:MM or HH:MM:SS)");
+  }
+
+  // 時刻不明（time 空欄 or timeUnknown=true）：三柱で出し、日内で変わり得る柱と時柱候補を返す
+  const timeUnknown = body?.timeUnknown === true || !timeRaw;
+
+  const sex = safeString(body?.sex);
+  const birthPlace =
+    body?.birthPlace && typeof body.birthPlace === "object" ? body.birthPlace : {};
+
+  const country = safeString(birthPlace.country) || "JP";
+  const pref = safeString(birthPlace.pref) || (country === "JP" ? "東京都" : "");
+  const latitude = safeNumber(birthPlace.latitude ?? birthPlace.lat);
+  const longitude = safeNumber(birthPlace.longitude ?? birthPlace.lon);
+  const timeZone = safeString(birthPlace.timeZone);
+  const utcOffset =
+    typeof birthPlace.utcOffset === "number" ? birthPlace.utcOffset : safeString(birthPlace.utcOffset);
+
+  const place = { country, pref };
+  if (latitude !== null && longitude !== null) Object.assign(place, { latitude, longitude });
+  if (timeZone) place.timeZone = timeZone;
+  if (utcOffset !== "") place.utcOffset = utcOffset;
+
+  // 時刻補正（standard = 補正無し / trueSolar = 経度差＋均時差）
+  const timeMode = pickEnum(body?.timeMode, ["standard", "trueSolar"], "standard");
+
+  // 日替わり（24 = 0:00 / 23 = 23:00 / zishi_split = 早子・夜子）
+  const dayBoundaryMode = pickEnum(body?.dayBoundaryMode, ["24", "23", "zishi_split"], "24");
+
+  // 節入り境界（既定は Magic 日付固定。sekki_time で節入り時刻を使用）
+  const sekkiBoundaryMode = pickEnum(body?.sekkiBoundaryMode, ["magic_date", "sekki_time"], "magic_date");
+  const sekkiBoundaryPrecision = pickEnum(body?.sekkiBoundaryPrecision, ["day", "minute", "second"], "day");
+  const sekkiBoundaryTieBreak = pickEnum(body?.sekkiBoundaryTieBreak, ["before", "after"], "after");
+  const sekkiEphemeris = pickEnum(body?.sekkiEphemeris, SEKKI_EPHEMERIS, "noaa");
+
+  // 十二運（yinyang = 陽順陰逆 / yang_base = 陰干も陽干の並びで数える）
+  const twelveStageMode = pickEnum(body?.twelveStageMode, ["yinyang", "yang_base"], "yinyang");
+
+  // 司令（人元用事）の分野表（taizan = 阿部泰山流 / shihei = 淵海子平系）
+  const zokanBunyaSchool = pickEnum(body?.zokanBunyaSchool, Object.keys(ZOKAN_BUNYA), "taizan");
+
+  // 月運（立春年）/ 日運（期間）。未指定なら asOf の年・日から1週間
+  const getsuunYear = normalizeYear(body?.getsuunYear, "getsuunYear");
+  const nichiunRange = normalizeDateRange(body?.nichiunRange, "nichiunRange", NICHIUN_MAX_DAYS);
+
+  // 年運の範囲（{ start, end } の立春年 or 基準年からの { before, after }）。未指定なら前後6年
+  const nenunRange = normalizeNenunRange(body?.nenunRange);
+
+  // 基準日時（JST）：保存した鑑定の再現や「2030年はどうか」に使う。未指定なら現在
+  const asOf = normalizeAsOf(body?.asOf);
+
+  return {
+    date,
+    time: timeRaw || "",
+    timeUnknown,
+    sex,
+    birthPlace: place,
+    timeMode,
+    dayBoundaryMode,
+    sekkiBoundaryMode,
+    sekkiBoundaryPrecision,
+    sekkiBoundaryTieBreak,
+    sekkiEphemeris,
+    twelveStageMode,
+    zokanBunyaSchool,
+    getsuunYear,
+    nichiunRange,
+    nenunRange,
+    asOf,
+  };
+}
+
+function normalizeYear(v, name) {
+  if (v === undefined || v === null || v === "") return null;
+  const n = typeof v === "string" ? Number(v) : v;
+  if (!Number.isInteger(n) || n < 1900 || n > 2100) {
+    throw new Error(`Invalid ${name} (expected a year between 1900 and 2100)`);
+  }
+  return n;
+}
+
+function normalizeNenunRange(v) {
+  if (!v || typeof v !== "object") return null;
+  if (v.start !== undefined || v.end !== undefined) {
+    const start = normalizeYear(v.start, "nenunRange.start");
+    const end = normalizeYear(v.end, "nenunRange.end") ?? start;
+    if (start === null) throw new Error("Invalid nenunRange.start (required with end)");
+    if (end < start) throw new Error("Invalid nenunRange (end is before start)");
+    if (end - start + 1 > NENUN_MAX_YEARS) throw new Error(`Invalid nenunRange (at most ${NENUN_MAX_YEARS} years)`);
+    return { start, end };
+  }
+  const count = (x, name) => {
+    if (x === undefined || x === null || x === "") return 0;
+    const n = typeof x === "string" ? Number(x) : x;
+    if (!Number.isInteger(n) || n < 0) throw new Error(`Invalid nenunRange.${name} (expected a non-negative integer)`);
+    return n;
+  };
+  const before = count(v.before, "before");
+  const after = count(v.after, "after");
+  if (before + after + 1 > NENUN_MAX_YEARS) throw new Error(`Invalid nenunRange (at most ${NENUN_MAX_YEARS} years)`);
+  return { before, after };
+}
+
+// "YYYY-MM-DD" / "YYYY-MM-DDTHH:MM(:SS)"（JST）→ 年月日時分秒。時刻省略時は 0:00
+export function normalizeAsOf(v) {
+  const s = safeString(v);
+  if (!s) return null;
+  const m = s.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/);
+  if (!m) throw new Error("Invalid asOf (expected YYYY-MM-DD or YYYY-MM-DDTHH:MM)");
+  const [y, mo, d, hh, mm, ss] = m.slice(1).map((x) => (x === undefined ? 0 : parseInt(x, 10)));
+  const t = new Date(Date.UTC(y, mo - 1, d, hh, mm, ss));
+  if (t.getUTCMonth() !== mo - 1 || t.getUTCDate() !== d || hh > 23 || mm > 59 || ss > 59) {
+    throw new Error("Invalid asOf (no such date or time)");
+  }
+  if (y < 1900 || y > 2100) throw new Error("Invalid asOf (expected a year between 1900 and 2100)");
+  return { y, m: mo, d, hh, mm, ss };
+}
+
+// { start: "YYYY-MM-DD", end: "YYYY-MM-DD" }（両端を含む・最大 maxDays 日）
+export function normalizeDateRange(v, name, maxDays) {
+  if (!v || typeof v !== "object") return null;
+  const start = safeString(v.start);
+  const end = safeString(v.end) || start;
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(start) || !/^\d{4}-\d{2}-\d{2}$/.test(end)) {
+    throw new Error(`Invalid ${name} (expected { start: YYYY-MM-DD, end: YYYY-MM-DD })`);
+  }
+  const days = (Date.parse(`${end}T00:00:00Z`) - Date.parse(`${start}T00:00:00Z`)) / 86400000 + 1;
+  if (!(days >= 1)) throw new Error(`Invalid ${name} (end is before start)`);
+  if (days > maxDays) throw new Error(`Invalid ${name} (at most ${maxDays} days)`);
+  return { start, end };
+}
+
+function safeString(v) {
+  return typeof v === "string" ? v.trim() : "";
+}
+
+function safeNumber(v) {
+  const n = typeof v === "string" && v.trim() ? Number(v) : v;
+  return typeof n === "number" && Number.isFinite(n) ? n : null;
+}
+
+function pickEnum(v, allowed, fallback) {
+  const s = safeString(v);
+  return allowed.includes(s) ? s : fallback;
+}
+
+function normalizeSex(sex) {
+  const s = safeString(sex).toUpperCase();
+  if (s === "M" || s === "F") return s;
+  // "男性"/"女性" も許容
+  if (sex === "男性") return "M";
+  if (sex === "女性") return "F";
+  return "";
+}
+
+// ------------------------------
+// Date helpers (JST)
+// ------------------------------
+// 出生地の現地時刻（壁時計）として解釈する
+function parseLocalDateTime(dateStr, timeStr) {
+  const [y, m, d] = dateStr.split("-").map((n) => parseInt(n, 10));
+  let hh = TIME_UNKNOWN_ASSUMED.hh,
+    mm = TIME_UNKNOWN_ASSUMED.mm,
+    ss = 0;
+  if (timeStr) {
+    const p = timeStr.split(":").map((n) => parseInt(n, 10));
+    hh = p[0] ?? 0;
+    mm = p[1] ?? 0;
+    ss = p[2] ?? 0;
+  }
+  return { y, m, d, hh, mm, ss };
+}
+
+// JST の年月日時分秒 → UTC の Date
+function jstPartsToUtc(p) {
+  return new Date(Date.UTC(p.y, p.m - 1, p.d, p.hh, p.mm, p.ss || 0) - 9 * 3600 * 1000);
+}
+
+// UTC の Date → JST の年月日時分秒
+function utcToJstParts(dateUtc) {
+  const jst = new Date(dateUtc.getTime() + 9 * 3600 * 1000);
+  return {
+    y: jst.getUTCFullYear(),
+    m: jst.getUTCMonth() + 1,
+    d: jst.getUTCDate(),
+    hh: jst.getUTCHours(),
+    mm: jst.getUTCMinutes(),
+    ss: jst.getUTCSeconds(),
+  };
+}
+
+// 真太陽時：JST（東経135°）に経度差＋均時差を足した“その土地の太陽の時刻”
+function calcTrueSolarTime(std, place) {
+  if (!place) {
+    throw new Error("Unknown birthPlace for trueSolar (expected a Japanese pref or latitude/longitude)");
+  }
+  const stdUtc = jstPartsToUtc(std);
+  const correction = trueSolarCorrection(stdUtc, place.longitude, 135);
+  const usedUtc = new Date(stdUtc.getTime() + Math.round(correction.totalMin * 60) * 1000);
+  return { used: utcToJstParts(usedUtc), correction };
+}
+
+function isBeforeDate(std, md) {
+  if (std.m < md.m) return true;
+  if (std.m > md.m) return false;
+  return std.d < md.d;
+}
+
+function pad2(n) {
+  return String(n).padStart(2, "0");
+}
+function formatHM(h, m) {
+  return `${pad2(h)}:${pad2(m)}`;
+}
+
+// ------------------------------
+// Month (Magic-style fixed boundaries by DATE)
+// ------------------------------
+// 既定：Magic準拠（節入り“日”固定・時刻無視）
+function resolveMagicDateBoundaries(std) {
+  const yearForPillar = isBeforeDate(std, { m: 2, d: 4 }) ? std.y - 1 : std.y;
+  const monthBoundary = getMonthBoundaryByDate(std);
+
+  return {
+    sekkiUsed: false,
+    yearForPillar,
+    monthBoundary,
+    yearRule: "magic_risshun_date",
+    monthRule: "magic_jie_date",
+    monthBoundaryMeta: {
+      name: monthBoundary.name,
+      angle: monthBoundary.angle,
+      timeJst: `${monthBoundary.m > std.m ? std.y - 1 : std.y}-${pad2(monthBoundary.m)}-${pad2(monthBoundary.d)} 00:00`,
+      // “日基準”なので時刻は 00:00 固定表現
+    },
+    // ✅ 立春も “日基準” として明示
+    yearBoundaryMeta: {
+      name: "立春",
+      timeJst: `${std.y}-${pad2(2)}-${pad2(4)} 00:00`,
+    },
+  };
+}
+
+// opt-in：節入り時刻（lib/sekki.js）で年柱・月柱の境界を判定
+function resolveSekkiTimeBoundaries(
+  std,
+  { sekkiBoundaryPrecision, sekkiBoundaryTieBreak, sekkiEphemeris: ephemeris }
+) {
+  const birthUtc = jstPartsToUtc(std);
+  const isOnOrAfter = (t, b) =>
+    isOnOrAfterBoundary(t, b, sekkiBoundaryPrecision, sekkiBoundaryTieBreak);
+
+  const { prev } = findJieAroundUtc(birthUtc, isOnOrAfter, { ephemeris });
+  const monthBoundary = MONTH_BOUNDARIES.find((b) => b.angle === prev.angle);
+
+  const risshun = buildJie12Utc(std.y, { ephemeris }).find((j) => j.angle === 315);
+  const yearForPillar = isOnOrAfter(birthUtc, risshun.timeUtc) ? std.y : std.y - 1;
+
+  return {
+    sekkiUsed: true,
+    yearForPillar,
+    monthBoundary,
+    yearRule: "sekki_risshun_time",
+    monthRule: "sekki_jie_time",
+    monthBoundaryMeta: sekkiBoundaryMeta(prev),
+    yearBoundaryMeta: sekkiBoundaryMeta(risshun),
+  };
+}
+
+function sekkiBoundaryMeta(jie) {
+  return {
+    name: jie.name,
+    angle: jie.angle,
+    timeJst: formatJst(jie.timeUtc),
+    timeJstSec: formatJstSec(jie.timeUtc),
+  };
+}
+
+// 精度（day/minute/second）で丸めて比較し、同値は tieBreak で前後を決める
+function isOnOrAfterBoundary(tUtc, boundaryUtc, precision, tieBreak) {
+  const unitMs = precision === "second" ? 1000 : precision === "minute" ? 60000 : 86400000;
+  const offsetMs = precision === "day" ? 9 * 3600 * 1000 : 0; // 日単位は JST の日付で比較
+  const t = Math.floor((tUtc.getTime() + offsetMs) / unitMs);
+  const b = Math.floor((boundaryUtc.getTime() + offsetMs) / unitMs);
+  if (t !== b) return t > b;
+  return tieBreak !== "before";
+}
+
+// 前後の節を「月柱に使った節」に揃えて返す（Magic日付固定で節入り時刻と食い違う境界日の対策）
+function findMonthJieAround(birthUtc, monthBranch, ephemeris) {
+  const usedAngle = MONTH_BOUNDARIES.find((b) => b.branch === monthBranch)?.angle;
+  const around = (t) => findJieAroundUtc(t, undefined, { ephemeris });
+
+  let { prev, next } = around(birthUtc);
+  if (prev.angle !== usedAngle && next.angle === usedAngle) {
+    ({ prev, next } = around(next.timeUtc));
+  } else if (prev.angle !== usedAngle) {
+    ({ prev, next } = around(new Date(prev.timeUtc.getTime() - 1)));
+  }
+  return { prev, next };
+}
+
+function calcMonthPillarFromBoundary(boundary, yearStem) {
+  const monthBranch = boundary.branch;
+  const monthStem = monthStemFromYearStem(yearStem, monthBranch);
+  return { kan: monthStem, shi: monthBranch };
+}
+
+// ------------------------------
+// Day (24時切替 = 0:00日替わり / JST)
+// ------------------------------
+const DAY_RULES = {
+  24: "day_boundary_24_fixed",
+  23: "day_boundary_23",
+  zishi_split: "day_boundary_zishi_split",
+};
+
+// 日柱：dayBoundaryMode で日替わりを切替
+// - "24"：0:00で日替わり（既定）
+// - "23"：23:00で翌日扱い（子の刻の始まりで日替わり）
+// - "zishi_split"：0:00で日替わり。23時台は夜子時として日柱は当日のまま（時干のみ翌日で出す）
+function calcDayPillarByMode(std, mode) {
+  if (mode === "23" && std.hh >= 23) return calcDayPillar24(addDaysToParts(std, 1));
+  return calcDayPillar24(std);
+}
+
+function addDaysToParts(p, days) {
+  const t = new Date(Date.UTC(p.y, p.m - 1, p.d + days));
+  return { ...p, y: t.getUTCFullYear(), m: t.getUTCMonth() + 1, d: t.getUTCDate() };
+}
+
+function calcHourPillar(std, dayStem, mode = "24") {
+  const t = std.hh * 60 + std.mm;
+  let idx;
+  // 子刻(23:00-00:59) は idx=0 を維持（Magic表示と合わせやすい）
+  if (t >= 23 * 60) idx = 0;
+  else idx = Math.floor((t + 60) / 120);
+
+  // 夜子時（zishi_split の23時台）：時干は翌日の日干から出す
+  const stemBase =
+    mode === "zishi_split" && t >= 23 * 60 ? STEMS[mod(STEMS.indexOf(dayStem) + 1, 10)] : dayStem;
+
+  const branch = BRANCHES[mod(idx, 12)];
+  const stem = hourStemFromDayStem(stemBase, branch);
+  return { kan: stem, shi: branch };
+}
+
+// ------------------------------
+// 年柱・月柱・日柱（現地時刻 1点から）
+// ------------------------------
+// handler 本体と、時刻不明時の日内走査（calcTimeUnknown）で共用する
+function calcCorePillars(local, input) {
+  const zone = resolveTimeZone(input.birthPlace);
+  const tz = localPartsToUtc(local, zone);
+  const std = utcToJstParts(tz.utc);
+
+  // 年柱・月柱の境界（既定：Magic日付固定 / opt-in：節入り時刻）
+  const boundaries =
+    input.sekkiBoundaryMode === "sekki_time"
+      ? resolveSekkiTimeBoundaries(std, input)
+      : resolveMagicDateBoundaries(std);
+
+  const yearPillar = calcYearPillar(boundaries.yearForPillar);
+  const monthPillar = calcMonthPillarFromBoundary(boundaries.monthBoundary, yearPillar.kan);
+
+  // 時刻補正（既定：補正無し / opt-in：真太陽時）
+  const place = resolvePlace(input.birthPlace);
+  const solar = input.timeMode === "trueSolar" ? calcTrueSolarTime(std, place) : null;
+  const used = solar ? solar.used : std;
+
+  // 日柱（既定：24時切替 = 0:00で日替わり）
+  const dayPillar = calcDayPillarByMode(used, input.dayBoundaryMode);
+
+  return {
+    zone,
+    tz,
+    std,
+    boundaries,
+    yearPillar,
+    monthPillar,
+    place,
+    solar,
+    used,
+    dayPillar,
+    ephemeris: input.sekkiEphemeris,
+  };
+}
+
+// ------------------------------
+// 時刻不明（三柱で出す）
+// ------------------------------
+// - 本命式は現地 12:00 を仮置きして年柱・月柱・日柱だけを出す（時柱なし）
+// - 出生日の 0:00〜23:59:59 を走査し、柱が変わる時刻（秒）で区切った別命式（alternatives）を返す
+// - 出生日に節入りがある場合は、境界設定に関わらず節入り時刻（秒）で走査する
+const TIME_UNKNOWN_ASSUMED = { hh: 12, mm: 0 };
+const DAY_SEC = 24 * 3600;
+const CORE_KEYS = { year: "yearPillar", month: "monthPillar", day: "dayPillar" };
+
+function calcTimeUnknown(local, input, main) {
+  const dayStart = { ...local, hh: 0, mm: 0, ss: 0 };
+  const startUtc = localPartsToUtc(dayStart, main.zone).utc;
+  const endUtc = localPartsToUtc(addDaysToParts(dayStart, 1), main.zone).utc;
+  const { next } = findJieAroundUtc(new Date(startUtc.getTime() - 1), undefined, {
+    ephemeris: input.sekkiEphemeris,
+  });
+  const jie = next && next.timeUtc.getTime() < endUtc.getTime() ? next : null;
+
+  const scanInput = jie
+    ? { ...input, sekkiBoundaryMode: "sekki_time", sekkiBoundaryPrecision: "second" }
+    : input;
+  const at = (sec) => calcCorePillars(shiftLocalSeconds(dayStart, sec), scanInput);
+  const keyOf = (c) => Object.values(CORE_KEYS).map((k) => c[k].kan + c[k].shi).join("");
+
+  // 1時間おきに見て、変わった区間は二分探索で秒単位まで詰める（節入り時刻は秒で効くため）
+  const segments = [{ fromSec: 0, core: at(0) }];
+  const samples = [...Array.from({ length: 24 }, (_, h) => h * 3600).slice(1), DAY_SEC - 1];
+  let prevSec = 0;
+  for (const sec of samples) {
+    const last = segments[segments.length - 1];
+    const c = at(sec);
+    if (keyOf(c) !== keyOf(last.core)) {
+      let lo = prevSec;
+      let hi = sec;
+      while (hi - lo > 1) {
+        const mid = Math.floor((lo + hi) / 2);
+        if (keyOf(at(mid)) === keyOf(last.core)) lo = mid;
+        else hi = mid;
+      }
+      segments.push({ fromSec: hi, core: hi === sec ? c : at(hi) });
+    }
+    prevSec = sec;
+  }
+
+  const variablePillars = Object.entries(CORE_KEYS)
+    .filter(([, k]) => new Set(segments.map((sg) => sg.core[k].kan + sg.core[k].shi)).size > 1)
+    .map(([pillar]) => ({ pillar, reason: variableReason(pillar, jie, input) }));
+  variablePillars.push({ pillar: "hour", reason: "出生時刻が不明" });
+
+  const alternatives =
+    segments.length > 1
+      ? segments.map((sg, i) => ({
+          from: formatSecHMS(sg.fromSec),
+          to: formatSecHMS((i + 1 < segments.length ? segments[i + 1].fromSec : DAY_SEC) - 1),
+          // JST の区間（秒・[fromJst, untilJst)）。reverse-lookup の windows と同じ形
+          fromJst: formatJstSec(localPartsToUtc(shiftLocalSeconds(dayStart, sg.fromSec), main.zone).utc),
+          untilJst: formatJstSec(
+            i + 1 < segments.length
+              ? localPartsToUtc(shiftLocalSeconds(dayStart, segments[i + 1].fromSec), main.zone).utc
+              : endUtc
+          ),
+          pillars: {
+            year: pickKanShi(sg.core.yearPillar),
+            month: pickKanShi(sg.core.monthPillar),
+            day: pickKanShi(sg.core.dayPillar),
+          },
+          sameAsMain: keyOf(sg.core) === keyOf(main),
+        }))
+      : [];
+
+  return {
+    assumedTime: formatHM(TIME_UNKNOWN_ASSUMED.hh, TIME_UNKNOWN_ASSUMED.mm),
+    note: "時刻不明のため年柱・月柱・日柱は現地 12:00 で算出（時柱なし）。立運・司令も 12:00 基準",
+    sekki: jie ? sekkiBoundaryMeta(jie) : null,
+    variablePillars,
+    alternatives,
+    alternativesBasis: jie ? "sekki_time_second" : input.sekkiBoundaryMode,
+    hourCandidates: calcHourCandidates(main.used, input.dayBoundaryMode),
+    hourRangeBasis: main.solar ? "trueSolar" : "standard",
+  };
+}
+
+function variableReason(pillar, jie, input) {
+  if (pillar !== "day") return jie ? `出生日に${jie.name}の節入り（${formatJstSec(jie.timeUtc)} JST）がある` : "";
+  if (input.dayBoundaryMode === "23") return "23:00 で日替わり（dayBoundaryMode=23）";
+  return input.timeMode === "trueSolar" ? "真太陽時の補正で日付が変わる" : "";
+}
+
+// 時柱の候補（子 = 0:00〜0:59、丑 = 1:00〜2:59 … 亥 = 21:00〜22:59、子 = 23:00〜23:59 の13区間）
+// 23時台は dayBoundaryMode（"23" / "zishi_split"）で時干が翌日の日干になるため、子刻を二つに分ける
+// 日柱・時柱は本命式と同じ calcDayPillarByMode / calcHourPillar で、各区間の最初の時刻から引く
+function calcHourCandidates(day, mode) {
+  const ranges = [
+    [0, 59],
+    ...BRANCHES.slice(1).map((_, i) => [i * 120 + 60, i * 120 + 179]),
+    [23 * 60, 23 * 60 + 59],
+  ];
+  return ranges.map(([fromMin, toMin]) => {
+    const at = { ...day, hh: Math.floor(fromMin / 60), mm: fromMin % 60, ss: 0 };
+    const dayStem = calcDayPillarByMode(at, mode).kan;
+    const { kan, shi } = calcHourPillar(at, dayStem, mode);
+    return {
+      kan,
+      shi,
+      range: `${formatMinHM(fromMin)}-${formatMinHM(toMin)}`,
+      tenDeity: tenDeityOf(dayStem, kan),
+      zokanTenDeity: getZokan(shi).map((st) => ({ stem: st, deity: tenDeityOf(dayStem, st) })),
+    };
+  });
+}
+
+function formatMinHM(min) {
+  const m = mod(min, 24 * 60);
+  return formatHM(Math.floor(m / 60), m % 60);
+}
+
+function formatSecHMS(sec) {
+  return `${formatHM(Math.floor(sec / 3600), Math.floor(sec / 60) % 60)}:${pad2(sec % 60)}`;
+}
+
+function pickKanShi(p) {
+  return { kan: p.kan, shi: p.shi };
+}
+
+// ------------------------------
+// 境界チェック（立春・節入り・0:00）と流派・補正による別命式
+// ------------------------------
+// - 各チェックは天文計算の節入り時刻（秒）との距離を返す（Magic日付固定でも診断用に出す）
+// - standardIsBefore… / usedIsBefore… はその天文計算の時刻との前後。柱を出すのに実際に使った境界
+//   （Magic日付固定なら節入り日の 0:00）との前後は pillarBoundary.standardIsBefore に返す
+// - 境界から BOUNDARY_NEAR_MIN 分以内、または流派・補正の違いで柱が変わる場合を ambiguous とする
+const BOUNDARY_NEAR_MIN = 120;
+
+const BOUNDARY_VARIANTS = [
+  { basis: "magic_date", label: "節入り日固定（Magic準拠）", override: { sekkiBoundaryMode: "magic_date" } },
+  {
+    basis: "sekki_time",
+    label: "節入り時刻（秒）",
+    override: { sekkiBoundaryMode: "sekki_time", sekkiBoundaryPrecision: "second" },
+  },
+  { basis: "standard", label: "標準時（補正無し）", override: { timeMode: "standard" } },
+  { basis: "trueSolar", label: "真太陽時", override: { timeMode: "trueSolar" } },
+  { basis: "day_boundary_24", label: "0:00 日替わり", override: { dayBoundaryMode: "24" } },
+  { basis: "day_boundary_23", label: "23:00 日替わり", override: { dayBoundaryMode: "23" } },
+];
+
+function calcBoundaryChecks(core) {
+  const stdUtc = core.tz.utc;
+  const usedUtc = core.solar ? jstPartsToUtc(core.used) : stdUtc;
+  const times = {
+    standardTimeJst: formatJst(stdUtc),
+    standardTimeJstSec: formatJstSec(stdUtc),
+    usedTimeJst: formatJst(usedUtc),
+    usedTimeJstSec: formatJstSec(usedUtc),
+  };
+  const minutesFrom = (t, b) => Math.round(((t.getTime() - b.getTime()) / 60000) * 100) / 100;
+  // 同じ節を、年柱・月柱に使った規則で表す（年柱・月柱は標準時で判定している）
+  const pillarBoundaryOf = (jie, standardIsBefore) => {
+    if (core.boundaries.sekkiUsed) {
+      return { basis: "sekki_time", ...sekkiBoundaryMeta(jie), standardIsBefore };
+    }
+    const magic = MONTH_BOUNDARIES.find((b) => b.angle === jie.angle);
+    return {
+      basis: "magic_date",
+      name: jie.name,
+      angle: jie.angle,
+      timeJst: `${utcToJstParts(jie.timeUtc).y}-${pad2(magic.m)}-${pad2(magic.d)} 00:00`,
+      standardIsBefore,
+    };
+  };
+
+  // 年：出生年（JST）の立春
+  const risshun = buildJie12Utc(core.std.y, { ephemeris: core.ephemeris }).find((j) => j.angle === 315);
+  const yDist = minutesFrom(stdUtc, risshun.timeUtc);
+  const yearBoundaryCheck = {
+    boundaryName: risshun.name,
+    boundaryTimeJst: formatJst(risshun.timeUtc),
+    boundaryTimeJstSec: formatJstSec(risshun.timeUtc),
+    ...times,
+    standardIsBeforeRisshun: yDist < 0,
+    usedIsBeforeRisshun: usedUtc.getTime() < risshun.timeUtc.getTime(),
+    distanceMin: yDist,
+    usedDistanceMin: minutesFrom(usedUtc, risshun.timeUtc),
+    nearBoundary: Math.abs(yDist) <= BOUNDARY_NEAR_MIN,
+    pillarBoundary: pillarBoundaryOf(risshun, core.boundaries.yearForPillar < core.std.y),
+  };
+
+  // 月：前後の節のうち近い方
+  const { prev, next } = findJieAroundUtc(stdUtc, undefined, { ephemeris: core.ephemeris });
+  const nearest =
+    stdUtc.getTime() - prev.timeUtc.getTime() <= next.timeUtc.getTime() - stdUtc.getTime() ? prev : next;
+  const mDist = minutesFrom(stdUtc, nearest.timeUtc);
+  const monthBoundaryCheck = {
+    boundaryName: nearest.name,
+    boundaryAngle: nearest.angle,
+    boundaryTimeJst: formatJst(nearest.timeUtc),
+    boundaryTimeJstSec: formatJstSec(nearest.timeUtc),
+    ...times,
+    standardIsBeforeMonthBoundary: mDist < 0,
+    usedIsBeforeMonthBoundary: usedUtc.getTime() < nearest.timeUtc.getTime(),
+    distanceMin: mDist,
+    usedDistanceMin: minutesFrom(usedUtc, nearest.timeUtc),
+    nearBoundary: Math.abs(mDist) <= BOUNDARY_NEAR_MIN,
+    // 月柱がこの節より前の月なら、境界の前と判定している
+    pillarBoundary: pillarBoundaryOf(nearest, core.boundaries.monthBoundary.angle !== nearest.angle),
+    prevBoundary: sekkiBoundaryMeta(prev),
+    nextBoundary: sekkiBoundaryMeta(next),
+  };
+
+  // 日：日柱に使った時刻（used）の前後の 0:00
+  const sinceMidnight = core.used.hh * 60 + core.used.mm + (core.used.ss || 0) / 60;
+  const dDist = Math.round((sinceMidnight < 720 ? sinceMidnight : sinceMidnight - 1440) * 100) / 100;
+  const dayBoundaryCheck = {
+    usedTimeJst: times.usedTimeJst,
+    distanceMin: dDist,
+    nearBoundary: Math.abs(dDist) <= BOUNDARY_NEAR_MIN,
+  };
+
+  return { yearBoundaryCheck, monthBoundaryCheck, dayBoundaryCheck };
+}
+
+function calcBoundaryAmbiguity(local, input, main, mainHour, checks) {
+  const keys = ["year", "month", "day", "hour"];
+  const chartOf = (c, withHour) => ({
+    year: pickKanShi(c.yearPillar),
+    month: pickKanShi(c.monthPillar),
+    day: pickKanShi(c.dayPillar),
+    hour: withHour ? pickKanShi(calcHourPillar(c.used, c.dayPillar.kan, c.dayBoundaryMode)) : null,
+  });
+  const mainChart = { ...chartOf(main, false), hour: pickKanShi(mainHour) };
+  const differsOf = (chart) =>
+    keys.filter((k) => chart[k] && (chart[k].kan !== mainChart[k].kan || chart[k].shi !== mainChart[k].shi));
+
+  const candidates = [];
+
+  // 流派・補正の違い（同じ出生時刻）
+  for (const v of BOUNDARY_VARIANTS) {
+    const c = tryCorePillars(local, { ...input, ...v.override });
+    if (c) candidates.push({ basis: v.basis, label: v.label, chart: chartOf(c, true), compare: keys });
+  }
+
+  // 出生時刻が境界の向こう側だった場合（境界の近くだけ）：その境界を越えた直後・直前の時刻で引き直す
+  const crossings = calcBoundaryCrossings(input, main, checks);
+  for (const x of crossings) {
+    for (const v of [null, BOUNDARY_VARIANTS[1]]) {
+      const variantInput = v ? { ...input, ...v.override } : input;
+      const { label, shiftSec } = x.crossOf(variantInput);
+      const c = tryCorePillars(shiftLocalSeconds(local, shiftSec), variantInput);
+      if (!c) continue;
+      candidates.push({
+        basis: `cross_${x.kind}${v ? `_${v.basis}` : ""}`,
+        label: `${label}${v ? `（${v.label}）` : ""}`,
+        chart: chartOf(c, true),
+        // 立春・節入りを越えた読みは年・月・日が変わるものだけを別命式にする（時柱は時刻が動いた分だけ変わる）
+        compare: x.kind === "risshun" || x.kind === "jie" ? ["year", "month", "day"] : keys,
+      });
+    }
+  }
+
+  // 本命式と異なるものだけを、同じ命式ごとにまとめる
+  const alternatives = [];
+  for (const cand of candidates) {
+    const differs = differsOf(cand.chart).filter((k) => cand.compare.includes(k));
+    if (!differs.length) continue;
+    // 年・月・日と時柱（あれば）が同じ既出の命式にまとめる
+    const sig = JSON.stringify([cand.chart.year, cand.chart.month, cand.chart.day]);
+    const same = alternatives.find(
+      (a) => a.sig === sig && (!cand.chart.hour || JSON.stringify(a.pillars.hour) === JSON.stringify(cand.chart.hour))
+    );
+    if (same) {
+      same.bases.push(cand.basis);
+      same.labels.push(cand.label);
+      continue;
+    }
+    alternatives.push({
+      sig,
+      bases: [cand.basis],
+      labels: [cand.label],
+      differs,
+      pillars: cand.chart,
+      tenDeity: calcTenDeity(cand.chart.year.kan, cand.chart.month.kan, cand.chart.day.kan, cand.chart.hour?.kan),
+    });
+  }
+
+  const reasons = [];
+  const { yearBoundaryCheck: y, monthBoundaryCheck: m, dayBoundaryCheck: d } = checks;
+  if (y.nearBoundary) reasons.push(`立春（${y.boundaryTimeJstSec}）から ${Math.abs(y.distanceMin)} 分`);
+  if (m.nearBoundary && m.boundaryName !== "立春") {
+    reasons.push(`${m.boundaryName}の節入り（${m.boundaryTimeJstSec}）から ${Math.abs(m.distanceMin)} 分`);
+  }
+  if (d.nearBoundary) reasons.push(`日付の境界（0:00）から ${Math.abs(d.distanceMin)} 分`);
+  const zishi = crossings.find((x) => x.kind === "zishi");
+  if (zishi) reasons.push(`子刻の切替（23:00）から ${zishi.distanceMin} 分`);
+  if (alternatives.some((a) => a.bases.some((b) => !b.startsWith("cross_")))) {
+    reasons.push("流派・時刻補正の違いで柱が変わる");
+  }
+
+  return {
+    ambiguous: reasons.length > 0,
+    thresholdMin: BOUNDARY_NEAR_MIN,
+    reasons,
+    alternatives: alternatives.map(({ sig, ...a }) => a),
+  };
+}
+
+// 真太陽時で出生地が引けない等、その読み方が成り立たない場合は null
+function tryCorePillars(local, input) {
+  try {
+    return { ...calcCorePillars(local, input), dayBoundaryMode: input.dayBoundaryMode };
+  } catch {
+    return null;
+  }
+}
+
+// 近くにある境界（立春・節入り・0:00・子刻の切替 23:00）ごとに、境界を越えた側へ出生時刻をずらす秒数を返す
+// - 立春・節入り：流派の精度（秒・分・日）で境界の次の単位の頭、または境界の単位の直前 1 秒
+// - 0:00・23:00：日柱・時柱に使った時刻（used）で境界ちょうど、または直前 1 秒
+const PRECISION_MS = { second: 1000, minute: 60000, day: 86400000 };
+
+function calcBoundaryCrossings(input, main, checks) {
+  const jstMs = 9 * 3600 * 1000;
+  const birthMs = main.tz.utc.getTime();
+  const out = [];
+
+  // 前後は読み方ごと（精度・同値の扱い込み）に判定し、境界の向こう側へ移す
+  const sekkiCrossing = (kind, check, name) => {
+    const boundaryUtc = new Date(parseJstSecMs(check.boundaryTimeJstSec));
+    out.push({
+      kind,
+      crossOf: (v) => {
+        const precision = v.sekkiBoundaryMode === "sekki_time" ? v.sekkiBoundaryPrecision : "second";
+        const unitMs = PRECISION_MS[precision] || 1000;
+        const after = !isOnOrAfterBoundary(main.tz.utc, boundaryUtc, precision, v.sekkiBoundaryTieBreak);
+        const unitStart = Math.floor((boundaryUtc.getTime() + jstMs) / unitMs) * unitMs - jstMs;
+        return {
+          label: `出生時刻が${name}（${check.boundaryTimeJstSec}）の${after ? "後" : "前"}だった場合`,
+          shiftSec: ((after ? unitStart + unitMs : unitStart - 1000) - birthMs) / 1000,
+        };
+      },
+    });
+  };
+  const { yearBoundaryCheck: y, monthBoundaryCheck: m } = checks;
+  if (y.nearBoundary) sekkiCrossing("risshun", y, "立春");
+  if (m.nearBoundary && m.boundaryName !== "立春") sekkiCrossing("jie", m, `${m.boundaryName}の節入り`);
+
+  // 0:00（前後の日付の境界）と 23:00（dayBoundaryMode=23 / zishi_split で日柱・時干が切り替わる）
+  const usedMs = jstPartsToUtc(main.used).getTime();
+  const dayStartMs = Math.floor((usedMs + jstMs) / 86400000) * 86400000 - jstMs;
+  const clockBoundaries = [
+    { kind: "day", label: "日付の境界（0:00）", ms: dayStartMs },
+    { kind: "day", label: "日付の境界（0:00）", ms: dayStartMs + 86400000 },
+  ];
+  if (input.dayBoundaryMode !== "24") {
+    clockBoundaries.push({ kind: "zishi", label: "子刻の切替（23:00）", ms: dayStartMs + 23 * 3600000 });
+  }
+  for (const b of clockBoundaries) {
+    const distanceMin = Math.round((Math.abs(usedMs - b.ms) / 60000) * 100) / 100;
+    if (distanceMin > BOUNDARY_NEAR_MIN) continue;
+    const after = usedMs < b.ms;
+    const cross = {
+      label: `出生時刻が${b.label}の${after ? "後" : "前"}だった場合`,
+      shiftSec: ((after ? b.ms : b.ms - 1000) - usedMs) / 1000,
+    };
+    out.push({ kind: b.kind, distanceMin, crossOf: () => cross });
+  }
+  return out;
+}
+
+function parseJstSecMs(s) {
+  return Date.parse(`${s.replace(" ", "T")}+09:00`);
+}
+
+function shiftLocalSeconds(p, seconds) {
+  const t = new Date(Date.UTC(p.y, p.m - 1, p.d, p.hh, p.mm, (p.ss || 0) + seconds));
+  return {
+    y: t.getUTCFullYear(),
+    m: t.getUTCMonth() + 1,
+    d: t.getUTCDate(),
+    hh: t.getUTCHours(),
+    mm: t.getUTCMinutes(),
+    ss: t.getUTCSeconds(),
+  };
+}
+
+// ------------------------------
+// Hidden stems (蔵干)
+// ------------------------------
+const ZOKAN = {
+  子: ["癸"],
+  丑: ["己", "癸", "辛"],
+  寅: ["甲", "丙", "戊"],
+  卯: ["乙"],
+  辰: ["戊", "乙", "癸"],
+  巳: ["丙", "戊", "庚"],
+  午: ["丁", "己"],
+  未: ["己", "丁", "乙"],
+  申: ["庚", "壬", "戊"],
+  酉: ["辛"],
+  戌: ["戊", "辛", "丁"],
+  亥: ["壬", "甲"],
+};
+
+// 蔵干の位（ZOKAN と同じ並び）。人元司令分野（ZOKAN_BUNYA）の 余気 → 中気 → 本気 に合わせる
+// 寅・申は 本気・中気・余気、丑・辰・巳・未・戌は 本気・余気・中気 の並びなので、添字では位を決めない
+const ZOKAN_RANKS = {
+  子: ["本気"],
+  丑: ["本気", "余気", "中気"],
+  寅: ["本気", "中気", "余気"],
+  卯: ["本気"],
+  辰: ["本気", "余気", "中気"],
+  巳: ["本気", "余気", "中気"],
+  午: ["本気", "中気"],
+  未: ["本気", "余気", "中気"],
+  申: ["本気", "中気", "余気"],
+  酉: ["本気"],
+  戌: ["本気", "余気", "中気"],
+  亥: ["本気", "中気"],
+};
+
+export function getZokan(branch) {
+  return ZOKAN[branch] ? [...ZOKAN[branch]] : [];
+}
+
+// [{ stem, rank: "本気" | "中気" | "余気" }]（ZOKAN の並び）
+function getZokanRanked(branch) {
+  return getZokan(branch).map((stem, i) => ({ stem, rank: ZOKAN_RANKS[branch][i] }));
+}
+
+// 人元司令分野：節入りから何日目までどの蔵干が司令するか（余気 → 中気 → 本気の順）
+// 最後の区間は次の節まで続く（月の長さが30日を超えても本気のまま）
+const ZOKAN_BUNYA = {
+  taizan: {
+    子: [["壬", 10], ["癸", 20]],
+    丑: [["癸", 9], ["辛", 3], ["己", 18]],
+    寅: [["戊", 7], ["丙", 7], ["甲", 16]],
+    卯: [["甲", 10], ["乙", 20]],
+    辰: [["乙", 9], ["癸", 3], ["戊", 18]],
+    巳: [["戊", 7], ["庚", 7], ["丙", 16]],
+    午: [["丙", 10], ["己", 9], ["丁", 11]],
+    未: [["丁", 9], ["乙", 3], ["己", 18]],
+    申: [["戊", 7], ["壬", 7], ["庚", 16]],
+    酉: [["庚", 10], ["辛", 20]],
+    戌: [["辛", 9], ["丁", 3], ["戊", 18]],
+    亥: [["戊", 7], ["甲", 7], ["壬", 16]],
+  },
+  shihei: {
+    子: [["壬", 10], ["癸", 20]],
+    丑: [["癸", 9], ["辛", 3], ["己", 18]],
+    寅: [["戊", 7], ["丙", 7], ["甲", 16]],
+    卯: [["甲", 10], ["乙", 20]],
+    辰: [["乙", 9], ["癸", 3], ["戊", 18]],
+    巳: [["戊", 5], ["庚", 9], ["丙", 16]],
+    午: [["丙", 10], ["己", 9], ["丁", 11]],
+    未: [["丁", 9], ["乙", 3], ["己", 18]],
+    申: [["戊", 10], ["壬", 3], ["庚", 17]],
+    酉: [["庚", 10], ["辛", 20]],
+    戌: [["辛", 9], ["丁", 3], ["戊", 18]],
+    亥: [["戊", 7], ["甲", 5], ["壬", 18]],
+  },
+};
+
+function calcActiveZokan(birthUtc, monthBranch, dayStem, school, ephemeris) {
+  const { prev } = findMonthJieAround(birthUtc, monthBranch, ephemeris);
+  const daysSinceBoundary = Math.max(0, (birthUtc.getTime() - prev.timeUtc.getTime()) / 86400000);
+
+  const table = ZOKAN_BUNYA[school][monthBranch];
+  const segments = [];
+  let from = 0;
+  for (const [stem, days] of table) {
+    segments.push({ stem, fromDay: from, toDay: from + days });
+    from += days;
+  }
+  const active =
+    segments.find((x) => daysSinceBoundary < x.toDay) || segments[segments.length - 1];
+
+  return {
+    stem: active.stem,
+    deity: tenDeityOf(dayStem, active.stem),
+    school,
+    daysSinceBoundary: Math.round(daysSinceBoundary * 100) / 100,
+    boundary: {
+      name: prev.name,
+      timeJst: formatJst(prev.timeUtc),
+      timeJstSec: formatJstSec(prev.timeUtc),
+    },
+    segments,
+  };
+}
+
+// ------------------------------
+// Ten Deity（通変星）
+// ------------------------------
+export const STEM_INFO = {
+  甲: { elem: "wood", yin: false },
+  乙: { elem: "wood", yin: true },
+  丙: { elem: "fire", yin: false },
+  丁: { elem: "fire", yin: true },
+  戊: { elem: "earth", yin: false },
+  己: { elem: "earth", yin: true },
+  庚: { elem: "metal", yin: false },
+  辛: { elem: "metal", yin: true },
+  壬: { elem: "water", yin: false },
+  癸: { elem: "water", yin: true },
+};
+
+export function elementRelation(dayElem, otherElem) {
+  if (dayElem === otherElem) return "same";
+  const gen = { wood: "fire", fire: "earth", earth: "metal", metal: "water", water: "wood" };
+  const ctl = { wood: "earth", earth: "water", water: "fire", fire: "metal", metal: "wood" };
+
+  if (gen[dayElem] === otherElem) return "day_creates_other";
+  if (gen[otherElem] === dayElem) return "other_creates_day";
+  if (ctl[dayElem] === otherElem) return "day_controls_other";
+  if (ctl[otherElem] === dayElem) return "other_controls_day";
+  return "none";
+}
+
+export function tenDeityOf(dayStem, otherStem) {
+  if (!otherStem) return null;
+  const d = STEM_INFO[dayStem];
+  const o = STEM_INFO[otherStem];
+  if (!d || !o) return null;
+
+  const sameYY = d.yin === o.yin;
+  const rel = elementRelation(d.elem, o.elem);
+
+  if (rel === "same") return sameYY ? "比肩" : "劫財";
+  if (rel === "day_creates_other") return sameYY ? "食神" : "傷官";
+  if (rel === "other_creates_day") return sameYY ? "印綬" : "偏印";
+  if (rel === "day_controls_other") return sameYY ? "正財" : "偏財";
+  if (rel === "other_controls_day") return sameYY ? "正官" : "七殺";
+  return null;
+}
+
+function calcTenDeity(yearStem, monthStem, dayStem, hourStem) {
+  return {
+    year: tenDeityOf(dayStem, yearStem),
+    month: tenDeityOf(dayStem, monthStem),
+    day: "日主",
+    hour: hourStem ? tenDeityOf(dayStem, hourStem) : null,
+  };
+}
+
+function calcZokanTenDeity(yearBranch, monthBranch, dayBranch, hourBranch, dayStem) {
+  const conv = (br) => getZokan(br).map((s) => ({ stem: s, deity: tenDeityOf(dayStem, s) }));
+  return {
+    year: conv(yearBranch),
+    month: conv(monthBranch),
+    day: conv(dayBranch),
+    hour: hourBranch ? conv(hourBranch) : [],
+  };
+}
+
+// ------------------------------
+// 十二運（日干から見た各支の状態）
+// ------------------------------
+const TWELVE_STAGES = ["長生", "沐浴", "冠帯", "建禄", "帝旺", "衰", "病", "死", "墓", "絶", "胎", "養"];
+
+// 長生の支（陽干は順行、陰干は逆行で数える）
+const CHOUSEI_BRANCH = {
+  甲: "亥",
+  乙: "午",
+  丙: "寅",
+  丁: "酉",
+  戊: "寅",
+  己: "酉",
+  庚: "巳",
+  辛: "子",
+  壬: "申",
+  癸: "卯",
+};
+
+// 陽干基準：陰干は同じ五行の陽干の並びをそのまま使う
+const YANG_PARTNER = { 乙: "甲", 丁: "丙", 己: "戊", 辛: "庚", 癸: "壬" };
+
+function twelveStageOf(dayStem, branch, mode = "yinyang") {
+  if (!dayStem || !branch) return null;
+  const stem = mode === "yang_base" ? YANG_PARTNER[dayStem] || dayStem : dayStem;
+  const start = BRANCHES.indexOf(CHOUSEI_BRANCH[stem]);
+  const bi = BRANCHES.indexOf(branch);
+  if (start < 0 || bi < 0) return null;
+
+  const step = STEM_INFO[stem].yin ? mod(start - bi, 12) : mod(bi - start, 12);
+  return TWELVE_STAGES[step];
+}
+
+function calcTwelveStages(yearBranch, monthBranch, dayBranch, hourBranch, dayStem, mode) {
+  return {
+    mode,
+    year: twelveStageOf(dayStem, yearBranch, mode),
+    month: twelveStageOf(dayStem, monthBranch, mode),
+    day: twelveStageOf(dayStem, dayBranch, mode),
+    hour: hourBranch ? twelveStageOf(dayStem, hourBranch, mode) : null,
+  };
+}
+
+// ------------------------------
+// Five Elements（五行バランス）
+// ------------------------------
+// 加重モード：天干 1.0 / 蔵干は本気・中気・余気で配分（1支 = 計1.0）し、月令の旺相休囚死を掛ける
+// 蔵干の数ごとに位で引く（並びではなく ZOKAN_RANKS の位で配分する）
+const ZOKAN_WEIGHTS = {
+  1: { 本気: 1.0 },
+  2: { 本気: 0.7, 中気: 0.3 },
+  3: { 本気: 0.6, 中気: 0.3, 余気: 0.1 },
+};
+const SEASON_MULTIPLIER = { 旺: 1.5, 相: 1.25, 休: 1.0, 囚: 0.85, 死: 0.7 };
+const SEASON_STATE_BY_RELATION = {
+  same: "旺",
+  day_creates_other: "相",
+  other_creates_day: "休",
+  other_controls_day: "囚",
+  day_controls_other: "死",
+};
+const ELEMENT_MISSING_PCT = 8;
+const ELEMENT_EXCESS_PCT = 30;
+
+function calcFiveElementsCounts(stems, branches, monthBranch) {
+  const counts = { wood: 0, fire: 0, earth: 0, metal: 0, water: 0 };
+
+  for (const s of stems) {
+    const info = STEM_INFO[s];
+    if (info) counts[info.elem] += 1;
+  }
+  for (const b of branches) {
+    for (const z of getZokan(b)) {
+      const info = STEM_INFO[z];
+      if (info) counts[info.elem] += 1;
+    }
+  }
+
+  return {
+    counts,
+    weighted: calcFiveElementsWeighted(stems, branches, monthBranch),
+    note:
+      "counts: stems and hidden stems counted 1 each. " +
+      "weighted: stems 1.0, hidden stems by rank 本気/中気/余気 = 0.6/0.3/0.1 (two: 本気/中気 = 0.7/0.3, one: 1.0; " +
+      "丑辰巳未戌 hold 本気・余気・中気 in that order), " +
+      "multiplied by the month's 旺相休囚死 = 1.5/1.25/1.0/0.85/0.7; " +
+      `missing < ${ELEMENT_MISSING_PCT}%, excess > ${ELEMENT_EXCESS_PCT}%.`,
+  };
+}
+
+function calcFiveElementsWeighted(stems, branches, monthBranch) {
+  const raw = { wood: 0, fire: 0, earth: 0, metal: 0, water: 0 };
+
+  for (const s of stems) {
+    const info = STEM_INFO[s];
+    if (info) raw[info.elem] += 1;
+  }
+  for (const b of branches) {
+    const zs = getZokanRanked(b);
+    for (const { stem, rank } of zs) {
+      const info = STEM_INFO[stem];
+      if (info) raw[info.elem] += ZOKAN_WEIGHTS[zs.length][rank];
+    }
+  }
+
+  // 月令（月支本気の五行）から見た各五行の旺相休囚死
+  const seasonElem = STEM_INFO[getZokan(monthBranch)[0]]?.elem;
+  const seasonState = {};
+  const scores = {};
+  for (const e of ELEMENTS) {
+    seasonState[e] = seasonElem ? SEASON_STATE_BY_RELATION[elementRelation(seasonElem, e)] : "休";
+    scores[e] = Math.round(raw[e] * SEASON_MULTIPLIER[seasonState[e]] * 100) / 100;
+  }
+
+  const total = ELEMENTS.reduce((a, e) => a + scores[e], 0) || 1;
+  const percentages = {};
+  for (const e of ELEMENTS) percentages[e] = Math.round((scores[e] / total) * 1000) / 10;
+
+  return {
+    scores,
+    percentages,
+    seasonState,
+    missing: ELEMENTS.filter((e) => percentages[e] < ELEMENT_MISSING_PCT),
+    excess: ELEMENTS.filter((e) => percentages[e] > ELEMENT_EXCESS_PCT),
+  };
+}
+
+// ------------------------------
+// 身強・身弱（日主の強弱）と用神・喜神・忌神
+// ------------------------------
+// 配点（すべて factors に内訳を残し、鑑定士が検証できるようにする）
+// - 月令：旺+30 / 相+20 / 休-10 / 囚-20 / 死-30（月支本気の五行と日主の関係）
+// - 通根・蔵干：本気/中気/余気 × 役割（比劫=根、印=生扶、食傷・財・官殺=洩剋）
+// - 透干：年・月・時の天干 × 役割
+// 合計 +20 以上 = 身強、-20 以下 = 身弱、その間 = 中和
+const SEASON_SCORE = { peer: 30, resource: 20, output: -10, wealth: -20, officer: -30 };
+const SEASON_LABEL = { peer: "旺", resource: "相", output: "休", wealth: "囚", officer: "死" };
+const HIDDEN_SCORE = {
+  peer: { 本気: 10, 中気: 6, 余気: 3 },
+  resource: { 本気: 5, 中気: 3, 余気: 2 },
+  output: { 本気: -4, 中気: -2, 余気: -1 },
+  wealth: { 本気: -4, 中気: -2, 余気: -1 },
+  officer: { 本気: -4, 中気: -2, 余気: -1 },
+};
+const VISIBLE_SCORE = { peer: 8, resource: 6, output: -5, wealth: -6, officer: -7 };
+const ROLE_LABEL = { peer: "比劫", resource: "印", output: "食傷", wealth: "財", officer: "官殺" };
+const ZOKAN_RANK = ["本気", "中気", "余気"]; // 月令格で透干を採る優先順
+const PILLAR_LABEL = { year: "年", month: "月", day: "日", hour: "時" };
+const STRENGTH_THRESHOLD = 20;
+
+const ROLE_BY_RELATION = {
+  same: "peer",
+  other_creates_day: "resource",
+  day_creates_other: "output",
+  day_controls_other: "wealth",
+  other_controls_day: "officer",
+};
+export const ELEMENTS = ["wood", "fire", "earth", "metal", "water"];
+
+function natalPillarsOf(yearPillar, monthPillar, dayPillar, hourPillar) {
+  return [
+    { key: "year", ...yearPillar },
+    { key: "month", ...monthPillar },
+    { key: "day", ...dayPillar },
+    hourPillar ? { key: "hour", ...hourPillar } : null,
+  ].filter(Boolean);
+}
+
+function roleOf(dayElem, elem) {
+  return ROLE_BY_RELATION[elementRelation(dayElem, elem)] || null;
+}
+
+function elementOfRole(dayElem, role) {
+  return ELEMENTS.find((e) => roleOf(dayElem, e) === role) || null;
+}
+
+function calcDayMasterStrength(pillars, counts) {
+  const day = pillars.find((p) => p.key === "day");
+  const month = pillars.find((p) => p.key === "month");
+  const dayElem = STEM_INFO[day.kan].elem;
+  const factors = [];
+
+  // 月令（季節）
+  const seasonStem = getZokan(month.shi)[0];
+  const seasonRole = roleOf(dayElem, STEM_INFO[seasonStem].elem);
+  factors.push({
+    factor: "月令",
+    pillar: "month",
+    branch: month.shi,
+    role: seasonRole,
+    score: SEASON_SCORE[seasonRole],
+    detail: `${month.shi}月（本気${seasonStem}）は日主にとって${SEASON_LABEL[seasonRole]}`,
+  });
+
+  // 通根・蔵干
+  for (const p of pillars) {
+    for (const { stem: z, rank } of getZokanRanked(p.shi)) {
+      const role = roleOf(dayElem, STEM_INFO[z].elem);
+      factors.push({
+        factor: role === "peer" ? "通根" : "蔵干",
+        pillar: p.key,
+        stem: z,
+        role,
+        score: HIDDEN_SCORE[role][rank],
+        detail: `${PILLAR_LABEL[p.key]}支${p.shi}の${rank}${z}（${ROLE_LABEL[role]}）`,
+      });
+    }
+  }
+
+  // 透干（日干以外）
+  for (const p of pillars) {
+    if (p.key === "day") continue;
+    const role = roleOf(dayElem, STEM_INFO[p.kan].elem);
+    factors.push({
+      factor: "透干",
+      pillar: p.key,
+      stem: p.kan,
+      role,
+      score: VISIBLE_SCORE[role],
+      detail: `${PILLAR_LABEL[p.key]}干${p.kan}（${ROLE_LABEL[role]}）`,
+    });
+  }
+
+  const score = factors.reduce((a, f) => a + f.score, 0);
+  const verdict =
+    score >= STRENGTH_THRESHOLD ? "身強" : score <= -STRENGTH_THRESHOLD ? "身弱" : "中和";
+
+  // 役割ごとの合計（用神選定の根拠）
+  const byRole = { peer: 0, resource: 0, output: 0, wealth: 0, officer: 0 };
+  for (const f of factors) byRole[f.role] += f.score;
+
+  const gods = selectFavorableElements(dayElem, verdict, byRole, counts);
+
+  return {
+    score,
+    verdict,
+    dayElement: dayElem,
+    byRole,
+    factors,
+    ...gods,
+    note: `Season ±30, hidden stems by 本気/中気/余気, visible stems by role; |score| >= ${STRENGTH_THRESHOLD} is 身強/身弱.`,
+  };
+}
+
+// 用神・喜神・忌神
+// - 身強：比劫が勝つなら官殺で制し、印が勝つなら財で印を剋す。喜神は食傷、忌神は印
+// - 身弱：財が重いなら比劫で分け、官殺・食傷が重いなら印で化す（生扶）
+// - 中和：最も少ない五行を補い、最も多い五行を忌む
+function selectFavorableElements(dayElem, verdict, byRole, counts) {
+  let yojinRole, kishinRole, imishinRole, reason;
+
+  if (verdict === "身強") {
+    if (byRole.peer >= byRole.resource) {
+      yojinRole = "officer";
+      reason = "比劫が強いので官殺で制する";
+    } else {
+      yojinRole = "wealth";
+      reason = "印が強いので財で印を抑える";
+    }
+    kishinRole = "output";
+    imishinRole = "resource";
+  } else if (verdict === "身弱") {
+    if (byRole.wealth < byRole.officer && byRole.wealth < byRole.output) {
+      yojinRole = "peer";
+      kishinRole = "resource";
+      imishinRole = "officer";
+      reason = "財が重いので比劫で支える";
+    } else {
+      yojinRole = "resource";
+      kishinRole = "peer";
+      imishinRole = "wealth";
+      reason = "官殺・食傷の洩剋が重いので印で生扶する";
+    }
+  } else {
+    const sorted = [...ELEMENTS].sort((a, b) => counts[a] - counts[b]);
+    const yojin = sorted[0];
+    const imishin = sorted[sorted.length - 1];
+    const kishin = ELEMENTS.find((e) => elementRelation(e, yojin) === "day_creates_other");
+    return {
+      yojin,
+      kishin,
+      imishin,
+      godsReason: "中和のため、最も少ない五行を用神、それを生む五行を喜神、最も多い五行を忌神とする",
+    };
+  }
+
+  return {
+    yojin: elementOfRole(dayElem, yojinRole),
+    kishin: elementOfRole(dayElem, kishinRole),
+    imishin: elementOfRole(dayElem, imishinRole),
+    godsReason: reason,
+  };
+}
+
+// ------------------------------
+// 格局（命式の構造）
+// ------------------------------
+// 1) 特殊格：化格（日干が月干/時干と干合し、月令が化神を支え、化神を剋す干が無い）
+// 2) 特殊格：従格（身強・身弱が極端で、反対側の支えがほぼ無い）
+// 3) 月令格：月支蔵干のうち透干したものを 本気 > 中気 > 余気 の順に採る（透干が無ければ本気）
+//    比肩なら建禄格、劫財なら羊刃格（陰干日主は月劫格）
+const KAKKYOKU_BY_DEITY = {
+  正官: "正官格",
+  七殺: "七殺格",
+  正財: "正財格",
+  偏財: "偏財格",
+  食神: "食神格",
+  傷官: "傷官格",
+  印綬: "印綬格",
+  偏印: "偏印格",
+};
+export const ELEMENT_LABEL = { wood: "木", fire: "火", earth: "土", metal: "金", water: "水" };
+const JUU_SCORE = 45; // 従格の判定に使う強弱スコアの絶対値
+
+function calcKakkyoku(pillars, strength, natalInteractions) {
+  const steps = [];
+  const day = pillars.find((p) => p.key === "day");
+  const month = pillars.find((p) => p.key === "month");
+  const dayElem = STEM_INFO[day.kan].elem;
+
+  // ---- 化格 ----
+  const kagou = natalInteractions.find(
+    (x) =>
+      x.type === "干合" &&
+      x.pillars.includes("day") &&
+      (x.pillars.includes("month") || x.pillars.includes("hour"))
+  );
+  if (kagou) {
+    const partner = (k) => k !== "day";
+    const seasonElem = STEM_INFO[getZokan(month.shi)[0]].elem;
+    const supported =
+      seasonElem === kagou.element || elementRelation(seasonElem, kagou.element) === "day_creates_other";
+    // 干合している二干（日干とその相手）自身は化神を剋す干に数えない
+    const breaker = pillars.find(
+      (p) =>
+        !kagou.pillars.includes(p.key) &&
+        elementRelation(STEM_INFO[p.kan].elem, kagou.element) === "day_controls_other"
+    );
+    steps.push(
+      `日干${day.kan}が${PILLAR_LABEL[kagou.pillars.find(partner)]}干と干合（化${ELEMENT_LABEL[kagou.element]}）`
+    );
+    if (supported && !breaker) {
+      steps.push(`月令${month.shi}が化神（${ELEMENT_LABEL[kagou.element]}）を支え、化神を剋す干も無い`);
+      return {
+        name: `化${ELEMENT_LABEL[kagou.element]}格`,
+        type: "special",
+        element: kagou.element,
+        steps,
+      };
+    }
+    steps.push(
+      supported
+        ? `化神を剋す${breaker.kan}（${PILLAR_LABEL[breaker.key]}干）があるため化格は不成立`
+        : `月令${month.shi}が化神を支えないため化格は不成立`
+    );
+  }
+
+  // ---- 従格 ----
+  const { byRole, score } = strength;
+  if (score <= -JUU_SCORE && byRole.peer <= 3 && byRole.resource <= 3) {
+    const drains = ["output", "wealth", "officer"];
+    const dominant = drains.reduce((a, b) => (byRole[b] < byRole[a] ? b : a));
+    const name = { output: "従児格", wealth: "従財格", officer: "従殺格" }[dominant];
+    steps.push(`強弱スコア${score}で日主に根・印の支えがほぼ無い`);
+    steps.push(`最も強い洩剋は${ROLE_LABEL[dominant]}（${byRole[dominant]}）`);
+    return { name, type: "special", element: elementOfRole(dayElem, dominant), steps };
+  }
+  if (score >= JUU_SCORE && byRole.officer >= -3 && byRole.wealth >= -6) {
+    const peerLed = byRole.peer >= byRole.resource;
+    const name = peerLed ? "従旺格" : "従強格";
+    steps.push(`強弱スコア${score}で官殺・財の制がほぼ無い`);
+    steps.push(`${peerLed ? "比劫" : "印"}が主体のため${name}`);
+    return {
+      name,
+      type: "special",
+      element: peerLed ? dayElem : elementOfRole(dayElem, "resource"),
+      steps,
+    };
+  }
+  steps.push(`強弱スコア${score}のため従格ではない`);
+
+  // ---- 月令格 ----
+  const visible = pillars.filter((p) => p.key !== "day").map((p) => p.kan);
+  const zokan = getZokanRanked(month.shi).sort(
+    (a, b) => ZOKAN_RANK.indexOf(a.rank) - ZOKAN_RANK.indexOf(b.rank)
+  );
+  let picked = zokan.find((z) => visible.includes(z.stem));
+  if (picked) {
+    steps.push(`月支${month.shi}の${picked.rank}${picked.stem}が透干しているので、これを格とする`);
+  } else {
+    picked = zokan[0];
+    steps.push(`月支${month.shi}の蔵干はいずれも透干していないので、本気${picked.stem}を格とする`);
+  }
+
+  const { stem, rank } = picked;
+  const deity = tenDeityOf(day.kan, stem);
+  let name = KAKKYOKU_BY_DEITY[deity];
+  if (deity === "比肩") name = "建禄格";
+  if (deity === "劫財") name = STEM_INFO[day.kan].yin ? "月劫格" : "羊刃格";
+  steps.push(`日干${day.kan}から見て${stem}は${deity}なので${name}`);
+
+  return {
+    name,
+    type: "month_order",
+    base: { stem, deity, rank },
+    steps,
+  };
+}
+
+// ------------------------------
+// 現在日時（JST）・基準日時 asOf
+// ------------------------------
+export function nowJstDateParts() {
+  const now = new Date();
+  const jst = new Date(now.getTime() + 9 * 3600 * 1000);
+  return {
+    y: jst.getUTCFullYear(),
+    m: jst.getUTCMonth() + 1,
+    d: jst.getUTCDate(),
+    hh: jst.getUTCHours(),
+    mm: jst.getUTCMinutes(),
+    ss: jst.getUTCSeconds(),
+  };
+}
+
+function formatAsOf(p) {
+  return `${p.y}-${pad2(p.m)}-${pad2(p.d)}T${pad2(p.hh)}:${pad2(p.mm)}:${pad2(p.ss || 0)}+09:00`;
+}
+
+function calcAgeYears(birth, now) {
+  const b = new Date(Date.UTC(birth.y, birth.m - 1, birth.d));
+  const n = new Date(Date.UTC(now.y, now.m - 1, now.d));
+  const diffDays = Math.floor((n.getTime() - b.getTime()) / 86400000);
+  return Math.floor(diffDays / 365.2425);
+}
+
+// ------------------------------
+// Luck（大運・歳運：Magic思想）
+// ------------------------------
+function calcLuckAll({
+  birthStd,
+  birthUtc,
+  sex,
+  yearStem,
+  monthPillar,
+  dayStem,
+  dayBranch,
+  twelveStageMode,
+  shenshaOrigin,
+  natalPillars,
+  strength,
+  getsuunYear,
+  nichiunRange,
+  nenunRange,
+  asOf,
+  sekkiEphemeris,
+}) {
+  const direction = calcLuckDirection(sex, yearStem);
+
+  // 立運：順行は次の節、逆行は前の節までの時間を 3日=1年 で換算
+  const start = calcStartAge(birthUtc, birthStd, direction, monthPillar.shi, sekkiEphemeris);
+
+  const annotate = (key) => (x) => ({
+    ...x,
+    twelveStage: twelveStageOf(dayStem, x.shi, twelveStageMode),
+    shensha: findShenshaForBranch(shenshaOrigin, x.shi),
+    interactions: findInteractionsWith(natalPillars, { key, kan: x.kan, shi: x.shi }),
+  });
+
+  const dayun = buildDayunList(monthPillar, direction, birthStd, start.detail).map(annotate("dayun"));
+
+  const now = asOf;
+  const ageYears = calcAgeYears(birthStd, now);
+
+  // 基準日時の JST の日付で引く（jstPartsToUtc を通すと 0:00〜8:59 が前日になる）
+  const todayUtc = new Date(Date.UTC(now.y, now.m - 1, now.d));
+  const currentDayunIndex = findCurrentDayunIndex(dayun, formatYmd(todayUtc));
+  const currentDayun = currentDayunIndex >= 0 ? dayun[currentDayunIndex] : null;
+
+  const nenunYearByRisshun = isBeforeRisshun(now) ? now.y - 1 : now.y;
+  const kuuBou = calcKuuBouFromDayPillar(dayStem, dayBranch);
+
+  const nenunYears = resolveNenunYears(nenunRange, nenunYearByRisshun);
+  const buildNenun = (from, to) =>
+    attachNenunScore(
+      buildNenunList(from, to, dayStem, kuuBou, natalPillars).map(annotate("nenun")),
+      { strength, dayun }
+    );
+  const nenun = buildNenun(nenunYears.start, nenunYears.end);
+  const currentNenunIndex = nenun.findIndex((x) => x.pillarYear === nenunYearByRisshun);
+  // 範囲外でも現在の年運（神殺・合冲の current）は出す。その場合 currentNenunIndex は null
+  const currentNenun =
+    currentNenunIndex >= 0
+      ? nenun[currentNenunIndex]
+      : buildNenun(nenunYearByRisshun, nenunYearByRisshun)[0];
+
+  // 月運（12節で区切る）・日運（指定期間の日干支）
+  const getsuunPillarYear = getsuunYear ?? nenunYearByRisshun;
+  const getsuun = {
+    pillarYear: getsuunPillarYear,
+    months: buildGetsuunList(getsuunPillarYear, dayStem, kuuBou, sekkiEphemeris).map(annotate("getsuun")),
+  };
+
+  const range = nichiunRange || {
+    start: formatYmd(todayUtc),
+    end: formatYmd(new Date(todayUtc.getTime() + 6 * 86400000)),
+  };
+  const nichiun = {
+    ...range,
+    days: buildNichiunList(range.start, range.end, dayStem, kuuBou).map(annotate("nichiun")),
+  };
+
+  return {
+    direction,
+    startCalcMode: start.mode,
+    startDiffMinutes: start.diffMinutes,
+    startAgeYears: start.detail.years,
+    startAgeDetail: start.detail,
+    startJie: start.jie,
+    startDate: start.startDate,
+    current: {
+      asOf: formatAsOf(now),
+      ageYears,
+      currentDayunIndex: currentDayunIndex < 0 ? 0 : currentDayunIndex,
+      currentNenunIndex: currentNenunIndex >= 0 ? currentNenunIndex : nenunRange ? null : 0,
+      nenunYearByRisshun,
+    },
+    dayun,
+    nenunRange: nenunYears,
+    nenun,
+    currentDayun,
+    currentNenun,
+    getsuun,
+    nichiun,
+  };
+}
+
+function calcLuckDirection(sex, yearStem) {
+  const yangStems = new Set(["甲", "丙", "戊", "庚", "壬"]);
+  const isYang = yangStems.has(yearStem);
+  if (sex === "M") return isYang ? "forward" : "backward";
+  if (sex === "F") return isYang ? "backward" : "forward";
+  return "forward";
+}
+
+// 立運（大運の始まる年齢）：古典の「3日 = 1年」換算
+// - 順行：出生 → 次の節 / 逆行：前の節 → 出生（節入り時刻は lib/sekki.js）
+// - 1日 = 4ヶ月、1時間 = 5日（= 1分あたり 1/12 日）として年・月・日へ展開
+function calcStartAge(birthUtc, birthStd, direction, monthBranch, ephemeris) {
+  const { prev, next } = findMonthJieAround(birthUtc, monthBranch, ephemeris);
+  const jie = direction === "forward" ? next : prev;
+  const diffMinutes = Math.floor(Math.abs(jie.timeUtc.getTime() - birthUtc.getTime()) / 60000);
+
+  // 3日（4320分）= 1年（360日）
+  const luckDays = Math.floor(diffMinutes / 12);
+  const detail = {
+    years: Math.floor(luckDays / 360),
+    months: Math.floor((luckDays % 360) / 30),
+    days: luckDays % 30,
+    diffDays: Math.floor(diffMinutes / 1440),
+    diffHours: Math.floor((diffMinutes % 1440) / 60),
+  };
+
+  const startUtc = addYmdToParts(birthStd, detail.years, detail.months, detail.days);
+
+  return {
+    mode: direction === "forward" ? "sekki_next_jie_3days_1year" : "sekki_prev_jie_3days_1year",
+    diffMinutes,
+    detail,
+    jie: {
+      name: jie.name,
+      timeJst: formatJst(jie.timeUtc),
+      timeJstSec: formatJstSec(jie.timeUtc),
+    },
+    startDate: formatYmd(startUtc),
+  };
+}
+
+function addYmdToParts(p, years, months, days) {
+  return new Date(Date.UTC(p.y + years, p.m - 1 + months, p.d + days));
+}
+
+function formatYmd(dateUtc) {
+  return `${dateUtc.getUTCFullYear()}-${pad2(dateUtc.getUTCMonth() + 1)}-${pad2(dateUtc.getUTCDate())}`;
+}
+
+function isBeforeRisshun(now) {
+  if (now.m < 2) return true;
+  if (now.m > 2) return false;
+  return now.d < 4; // 2/4 未満は前年扱い
+}
+
+// 大運：立運（startDetail）から10年ごと。先頭は立運前（月柱がそのまま巡る期間）
+// startDate/endDate は JST の日付（endDate は最終日を含む）
+function buildDayunList(monthPillar, direction, birthStd, startDetail) {
+  const { years, months, days } = startDetail;
+  const periodStart = (i) => addYmdToParts(birthStd, years + i * 10, months, days);
+  const dayBefore = (d) => new Date(d.getTime() - 86400000);
+
+  const list = [
+    {
+      kan: monthPillar.kan,
+      shi: monthPillar.shi,
+      // 大運の通変星は月干から見るため、月柱そのものは比較の対象が無い（常に比肩になる）
+      tenDeity: null,
+      preLuck: true,
+      ageFrom: 0,
+      ageTo: years,
+      startDate: formatYmd(addYmdToParts(birthStd, 0, 0, 0)),
+      endDate: formatYmd(dayBefore(periodStart(0))),
+    },
+  ];
+
+  let idx = sexagenaryIndex(monthPillar.kan, monthPillar.shi);
+  idx = direction === "forward" ? mod(idx + 1, 60) : mod(idx - 1, 60);
+
+  for (let i = 0; i < 10; i++) {
+    const p = sexagenaryFromIndex(idx);
+    list.push({
+      kan: p.kan,
+      shi: p.shi,
+      tenDeity: tenDeityOf(monthPillar.kan, p.kan) || null,
+      preLuck: false,
+      ageFrom: years + i * 10,
+      ageTo: years + i * 10 + 10,
+      startDate: formatYmd(periodStart(i)),
+      endDate: formatYmd(dayBefore(periodStart(i + 1))),
+    });
+    idx = direction === "forward" ? mod(idx + 1, 60) : mod(idx - 1, 60);
+  }
+  return list;
+}
+
+// 日付（YYYY-MM-DD）で現在の大運を探す（文字列比較で日付順になる）
+function findCurrentDayunIndex(dayun, todayYmd) {
+  for (let i = 0; i < dayun.length; i++) {
+    if (todayYmd >= dayun[i].startDate && todayYmd <= dayun[i].endDate) return i;
+  }
+  return -1;
+}
+
+// 年運の範囲（立春年・両端を含む）。既定は基準年の前後 NENUN_DEFAULT_SPAN 年
+const NENUN_DEFAULT_SPAN = 6;
+const NENUN_MAX_YEARS = 61;
+
+function resolveNenunYears(nenunRange, referenceYear) {
+  if (nenunRange?.start !== undefined) return { start: nenunRange.start, end: nenunRange.end };
+  const before = nenunRange ? nenunRange.before : NENUN_DEFAULT_SPAN;
+  const after = nenunRange ? nenunRange.after : NENUN_DEFAULT_SPAN;
+  return { start: referenceYear - before, end: referenceYear + after };
+}
+
+// kuuBou.natalPillars：その年の支が空亡の支と同じで、命式でもその支が空亡にある柱（填実）
+function buildNenunList(startYear, endYear, dayStem, kuuBou, natalPillars = []) {
+  const list = [];
+  for (let y = startYear; y <= endYear; y++) {
+    const p = calcYearPillar(y);
+    const tenchusatsu = p.shi === kuuBou[0] || p.shi === kuuBou[1];
+    list.push({
+      pillarYear: y,
+      kan: p.kan,
+      shi: p.shi,
+      tenDeity: dayStem ? tenDeityOf(dayStem, p.kan) : null,
+      tenchusatsu,
+      kuuBou: {
+        triggered: tenchusatsu,
+        natalPillars: tenchusatsu
+          ? natalPillars.filter((n) => n.key !== "day" && n.shi === p.shi).map((n) => n.key)
+          : [],
+      },
+    });
+  }
+  return list;
+}
+
+// 月運：立春年 year の12ヶ月（立春〜小寒）。各月は節入り時刻から次の節入りまで
+function buildGetsuunList(year, dayStem, kuuBou, ephemeris) {
+  const yearStem = calcYearPillar(year).kan;
+  const jie = [...buildJie12Utc(year, { ephemeris }), ...buildJie12Utc(year + 1, { ephemeris })];
+  const startIdx = jie.findIndex((j) => j.angle === 315);
+
+  const list = [];
+  for (let i = startIdx; i < startIdx + 12; i++) {
+    const b = MONTH_BOUNDARIES.find((x) => x.angle === jie[i].angle);
+    const kan = monthStemFromYearStem(yearStem, b.branch);
+    list.push({
+      pillarYear: year,
+      kan,
+      shi: b.branch,
+      jie: jie[i].name,
+      startJst: formatJst(jie[i].timeUtc),
+      endJst: formatJst(jie[i + 1].timeUtc),
+      tenDeity: dayStem ? tenDeityOf(dayStem, kan) : null,
+      tenchusatsu: b.branch === kuuBou[0] || b.branch === kuuBou[1],
+    });
+  }
+  return list;
+}
+
+// 日運：start〜end（JST の日付・両端を含む）の日干支
+const NICHIUN_MAX_DAYS = 62;
+
+function buildNichiunList(startYmd, endYmd, dayStem, kuuBou) {
+  const list = [];
+  const endMs = Date.parse(`${endYmd}T00:00:00Z`);
+  for (let t = Date.parse(`${startYmd}T00:00:00Z`); t <= endMs; t += 86400000) {
+    const d = new Date(t);
+    const p = calcDayPillar24({ y: d.getUTCFullYear(), m: d.getUTCMonth() + 1, d: d.getUTCDate() });
+    list.push({
+      date: formatYmd(d),
+      kan: p.kan,
+      shi: p.shi,
+      tenDeity: dayStem ? tenDeityOf(dayStem, p.kan) : null,
+      tenchusatsu: p.shi === kuuBou[0] || p.shi === kuuBou[1],
+    });
+  }
+  return list;
+}
+
+function clamp(n, a, b) {
+  return Math.max(a, Math.min(b, n));
+}
+
+// ------------------------------
+// 年運スコア（1-10）：命式に即した加点・減点の合計（内訳を scoreBreakdown に残す）
+// ------------------------------
+// - 干支の五行が 用神/喜神/忌神 のどれに当たるか（干 > 支本気）
+// - 命式の支・干との合・冲・刑・害・破（日柱に当たるものは重く）
+// - 天中殺
+// - その年の立春時点の大運：大運干の五行（用神/忌神）と、年支と大運支の冲・合
+const NENUN_BASE_SCORE = 5.5;
+const NENUN_WEIGHTS = {
+  stem: { yojin: 1.5, kishin: 1.0, imishin: -1.5 },
+  branch: { yojin: 1.0, kishin: 0.5, imishin: -1.0 },
+  interaction: {
+    冲: -0.75,
+    刑: -0.5,
+    害: -0.5,
+    破: -0.25,
+    干合: 0.5,
+    支合: 0.25,
+    三合: 0.25,
+    半会: 0.25,
+    方合: 0.25,
+  },
+  dayPillarFactor: 2, // 日柱（自分自身）に当たる関係は倍
+  combineElement: { yojin: 0.5, kishin: 0.25, imishin: -0.5 }, // 合で生まれる五行の上乗せ
+  tenchusatsu: -1.5,
+  dayunStem: { yojin: 0.5, kishin: 0.25, imishin: -0.5 },
+  dayunClash: -0.75,
+  dayunCombine: 0.25,
+};
+const GOD_LABEL = { yojin: "用神", kishin: "喜神", imishin: "忌神" };
+
+function godOf(strength, elem) {
+  if (!strength || !elem) return null;
+  if (elem === strength.yojin) return "yojin";
+  if (elem === strength.kishin) return "kishin";
+  if (elem === strength.imishin) return "imishin";
+  return null;
+}
+
+function attachNenunScore(nenun, { strength, dayun } = {}) {
+  if (!Array.isArray(nenun) || !nenun.length) return nenun;
+  const W = NENUN_WEIGHTS;
+
+  return nenun.map((x) => {
+    const breakdown = [];
+    const add = (factor, detail, delta) => {
+      if (delta) breakdown.push({ factor, detail, delta });
+    };
+
+    // 五行と用神・喜神・忌神
+    const stemElem = STEM_INFO[x.kan]?.elem;
+    const stemGod = godOf(strength, stemElem);
+    if (stemGod) add("stem", `年干${x.kan}（${x.tenDeity}）は${GOD_LABEL[stemGod]}`, W.stem[stemGod]);
+
+    const branchStem = getZokan(x.shi)[0];
+    const branchGod = godOf(strength, STEM_INFO[branchStem]?.elem);
+    if (branchGod) add("branch", `年支${x.shi}（本気${branchStem}）は${GOD_LABEL[branchGod]}`, W.branch[branchGod]);
+
+    // 命式との合・冲・刑・害・破
+    for (const it of x.interactions || []) {
+      const base = W.interaction[it.type] || 0;
+      const factor = it.pillars.includes("day") ? W.dayPillarFactor : 1;
+      const natal = it.pillars.filter((k) => k !== "nenun").map((k) => PILLAR_LABEL[k]).join("・");
+      add("interaction", `命式の${natal}柱と${it.type}（${it.members.join("")}）`, base * factor);
+
+      const god = it.element ? godOf(strength, it.element) : null;
+      if (god) {
+        add(
+          "interaction",
+          `${it.type}で${ELEMENT_LABEL[it.element]}（${GOD_LABEL[god]}）が生じる`,
+          W.combineElement[god]
+        );
+      }
+    }
+
+    if (x.tenchusatsu) add("tenchusatsu", `年支${x.shi}が天中殺`, W.tenchusatsu);
+
+    // その年の大運
+    const du = findDayunForYear(dayun, x.pillarYear);
+    if (du) {
+      const duGod = godOf(strength, STEM_INFO[du.kan]?.elem);
+      if (duGod) add("dayun", `大運${du.kan}${du.shi}の干は${GOD_LABEL[duGod]}`, W.dayunStem[duGod]);
+
+      const rel = findInteractions([
+        { key: "dayun", kan: du.kan, shi: du.shi },
+        { key: "nenun", kan: x.kan, shi: x.shi },
+      ]);
+      if (rel.some((r) => r.type === "冲")) add("dayun", `年支${x.shi}が大運支${du.shi}と冲`, W.dayunClash);
+      if (rel.some((r) => r.type === "支合" || r.type === "半会")) {
+        add("dayun", `年支${x.shi}が大運支${du.shi}と合`, W.dayunCombine);
+      }
+    }
+
+    const total = breakdown.reduce((a, b) => a + b.delta, 0);
+    const score = clamp(Math.round((NENUN_BASE_SCORE + total) * 10) / 10, 1, 10);
+    return { ...x, score, scoreBreakdown: breakdown };
+  });
+}
+
+// その年の立春（2/4）時点の大運
+function findDayunForYear(dayun, year) {
+  if (!Array.isArray(dayun)) return null;
+  const ymd = `${year}-02-04`;
+  return dayun.find((d) => ymd >= d.startDate && ymd <= d.endDate) || null;
+}
@@ -0,0 +1,59 @@
+// lib/solartime.js
+// 真太陽時（経度差＋均時差）の補正量を求める
+//
+// 使い方：
+//   trueSolarCorrection(dateUtc, longitude, standardMeridianDeg = 135)
+//     -> { lonCorrectionMin, eqTimeMin, totalMin }
+//
+// NOTE:
+// - 均時差は Meeus の近似式（lib/sekki.js と同系の太陽平均要素）で、誤差は数秒程度
+// - 経度差：1° = 4分（東経135°＝JST基準子午線）
+
+function norm360(deg) {
+  let x = deg % 360;
+  if (x < 0) x += 360;
+  return x;
+}
+
+// ---- 均時差（分）：真太陽時 − 平均太陽時 ----
+export function equationOfTimeMinutes(dateUtc) {
+  const jd = dateUtc.getTime() / 86400000 + 2440587.5;
+  const T = (jd - 2451545.0) / 36525.0;
+  const rad = Math.PI / 180;
+
+  // 幾何平均黄経 L0 / 平均近点角 M / 離心率 e
+  const L0 = norm360(280.46646 + 36000.76983 * T + 0.0003032 * T * T);
+  const M = norm360(357.52911 + 35999.05029 * T - 0.0001537 * T * T);
+  const e = 0.016708634 - 0.000042037 * T - 0.0000001267 * T * T;
+
+  // 黄道傾斜角 ε
+  const eps = 23.439291 - 0.0130042 * T;
+  const y = Math.tan((eps * rad) / 2) ** 2;
+
+  const L0r = L0 * rad;
+  const Mr = M * rad;
+
+  const E =
+    y * Math.sin(2 * L0r) -
+    2 * e * Math.sin(Mr) +
+    4 * e * y * Math.sin(Mr) * Math.cos(2 * L0r) -
+    0.5 * y * y * Math.sin(4 * L0r) -
+    1.25 * e * e * Math.sin(2 * Mr);
+
+  // ラジアン → 分（1rad = 229.1831分）
+  return (E * 4) / rad;
+}
+
+export function trueSolarCorrection(dateUtc, longitude, standardMeridianDeg = 135) {
+  const lonCorrectionMin = (longitude - standardMeridianDeg) * 4;
+  const eqTimeMin = equationOfTimeMinutes(dateUtc);
+  return {
+    lonCorrectionMin: round2(lonCorrectionMin),
+    eqTimeMin: round2(eqTimeMin),
+    totalMin: lonCorrectionMin + eqTimeMin,
+  };
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
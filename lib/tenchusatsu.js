@@ -0,0 +1,161 @@
+// lib/tenchusatsu.js
+// 天中殺（空亡）の時期：基準日時から先の天中殺の年・月・日を並べる
+//
+// 使い方：
+//   calcTenchusatsuTimeline(pillars, { asOf, years?, daysRange?, ephemeris? })
+//     -> { asOf, window, day: <日柱空亡の時期>, year: <年柱空亡の時期> }
+//
+// NOTE:
+// - 既定は日柱空亡（日干支の旬で余る二支）。year は年干支から出す流派の空亡で、同じ窓で並べる
+// - 年は立春〜次の立春、月は節入り〜次の節入り（どちらも lib/sekki.js の節入り時刻）、日は JST の 0:00 切替
+// - 年・月は基準日時に続いている期間（ongoing）も含める。窓は基準の立春年から years 年分
+
+import { buildJie12Utc, formatJst } from "./sekki.js";
+import {
+  MONTH_BOUNDARIES,
+  calcDayPillar24,
+  calcKuuBouFromDayPillar,
+  calcYearPillar,
+  monthStemFromYearStem,
+} from "./kanshi.js";
+
+export const TENCHUSATSU_DEFAULT_YEARS = 12;
+export const TENCHUSATSU_MAX_YEARS = 61;
+export const TENCHUSATSU_DEFAULT_DAYS = 60;
+export const TENCHUSATSU_MAX_DAYS = 366;
+
+const DAY_MS = 86400000;
+const JST_MS = 9 * 3600 * 1000;
+
+// asOf: JST の { y, m, d, hh, mm, ss }
+// daysRange: { start, end }（YYYY-MM-DD・両端を含む）。未指定なら基準日から TENCHUSATSU_DEFAULT_DAYS 日
+// ephemeris: 節入り時刻の計算法（lib/sekki.js の "noaa" / "vsop87"）
+export function calcTenchusatsuTimeline(pillars, { asOf, years, daysRange, ephemeris } = {}) {
+  if (!pillars?.day?.kan || !pillars?.day?.shi) throw new Error("Invalid pillars: day pillar is required");
+  if (!pillars?.year?.kan || !pillars?.year?.shi) throw new Error("Invalid pillars: year pillar is required");
+
+  const refMs = Date.UTC(asOf.y, asOf.m - 1, asOf.d, asOf.hh || 0, asOf.mm || 0, asOf.ss || 0) - JST_MS;
+  const yearCount = years ?? TENCHUSATSU_DEFAULT_YEARS;
+
+  const firstYear = pillarYearAt(refMs, ephemeris);
+  const periods = buildYearPeriods(firstYear, firstYear + yearCount - 1, ephemeris).filter(
+    (p) => p.endMs > refMs
+  );
+
+  const refDate = formatYmdMs(refMs);
+  const dayWindow = daysRange || {
+    start: refDate,
+    end: formatYmdMs(Date.parse(`${refDate}T00:00:00Z`) + (TENCHUSATSU_DEFAULT_DAYS - 1) * DAY_MS - JST_MS),
+  };
+  const days = buildDays(dayWindow.start, dayWindow.end);
+
+  const timelineOf = (basis, pillar) =>
+    buildTimeline(basis, pillar, calcKuuBouFromDayPillar(pillar.kan, pillar.shi), { periods, days, refMs, refDate });
+
+  return {
+    asOf: formatJst(new Date(refMs)),
+    window: {
+      years: { start: firstYear, end: firstYear + yearCount - 1 },
+      days: { start: dayWindow.start, end: dayWindow.end },
+    },
+    day: timelineOf("day", pillars.day),
+    year: timelineOf("year", pillars.year),
+  };
+}
+
+function buildTimeline(basis, pillar, kuuBou, { periods, days, refMs, refDate }) {
+  const hit = (shi) => shi === kuuBou[0] || shi === kuuBou[1];
+  const view = (p) => ({
+    pillarYear: p.pillarYear,
+    kan: p.kan,
+    shi: p.shi,
+    ...(p.jie ? { jie: p.jie } : {}),
+    startJst: formatJst(new Date(p.startMs)),
+    endJst: formatJst(new Date(p.endMs)),
+    ongoing: p.startMs <= refMs,
+  });
+
+  const tYears = periods.filter((y) => hit(y.shi)).map(view);
+  const tMonths = periods.flatMap((y) => y.months).filter((m) => m.endMs > refMs && hit(m.shi)).map(view);
+  const tDays = days.filter((d) => hit(d.shi));
+
+  return {
+    basis,
+    label: basis === "day" ? "日柱空亡（日干支の旬）" : "年柱空亡（年干支の旬・一部の流派）",
+    pillar: `${pillar.kan}${pillar.shi}`,
+    kuuBou,
+    ongoing: {
+      year: tYears.some((y) => y.ongoing),
+      month: tMonths.some((m) => m.ongoing),
+      day: tDays.some((d) => d.date === refDate),
+    },
+    // 「次の天中殺」：続いている期間があればそれ、なければ次に始まる期間（窓の中で）
+    next: {
+      year: tYears[0] || null,
+      month: tMonths[0] || null,
+      day: tDays.find((d) => d.date >= refDate) || null,
+    },
+    years: tYears,
+    months: tMonths,
+    days: tDays,
+  };
+}
+
+// ---- 年・月の期間（節入り時刻） ----
+function pillarYearAt(ms, ephemeris) {
+  const y = new Date(ms + JST_MS).getUTCFullYear();
+  const risshun = buildJie12Utc(y, { ephemeris }).find((j) => j.angle === 315).timeUtc.getTime();
+  return ms < risshun ? y - 1 : y;
+}
+
+// 立春年 startYear〜endYear の各年と、その12ヶ月（立春〜小寒）
+function buildYearPeriods(startYear, endYear, ephemeris) {
+  // buildJie12Utc(y) は前年の寒露〜その年の白露なので、続けて並べれば途切れない
+  const sorted = [];
+  for (let y = startYear; y <= endYear + 1; y++) sorted.push(...buildJie12Utc(y, { ephemeris }));
+
+  const out = [];
+  for (let y = startYear; y <= endYear; y++) {
+    const startIdx = sorted.findIndex((j) => j.angle === 315 && jstYear(j.timeUtc) === y);
+    const yearStem = calcYearPillar(y).kan;
+    const months = [];
+    for (let i = startIdx; i < startIdx + 12; i++) {
+      const b = MONTH_BOUNDARIES.find((x) => x.angle === sorted[i].angle);
+      months.push({
+        pillarYear: y,
+        kan: monthStemFromYearStem(yearStem, b.branch),
+        shi: b.branch,
+        jie: sorted[i].name,
+        startMs: sorted[i].timeUtc.getTime(),
+        endMs: sorted[i + 1].timeUtc.getTime(),
+      });
+    }
+    out.push({
+      pillarYear: y,
+      ...calcYearPillar(y),
+      startMs: months[0].startMs,
+      endMs: months[11].endMs,
+      months,
+    });
+  }
+  return out;
+}
+
+// ---- 日（JST の日付） ----
+function buildDays(startYmd, endYmd) {
+  const out = [];
+  for (let t = Date.parse(`${startYmd}T00:00:00Z`); t <= Date.parse(`${endYmd}T00:00:00Z`); t += DAY_MS) {
+    const d = new Date(t);
+    const p = calcDayPillar24({ y: d.getUTCFullYear(), m: d.getUTCMonth() + 1, d: d.getUTCDate() });
+    out.push({ date: d.toISOString().slice(0, 10), kan: p.kan, shi: p.shi });
+  }
+  return out;
+}
+
+function jstYear(dateUtc) {
+  return new Date(dateUtc.getTime() + JST_MS).getUTCFullYear();
+}
+
+function formatYmdMs(ms) {
+  return new Date(ms + JST_MS).toISOString().slice(0, 10);
+}
@@ -0,0 +1,142 @@
+// lib/timezone.js
+// 出生地の現地時刻（壁時計）→ UTC の瞬間へ変換
+//
+// 使い方：
+//   resolveTimeZone({ country, timeZone, utcOffset }) -> zone
+//   localPartsToUtc({ y, m, d, hh, mm, ss }, zone)
+//     -> { utc: Date, offsetMin, dstApplied, ambiguous, nonexistent }
+//
+// NOTE:
+// - 日本（timeZone 未指定 or Asia/Tokyo）は下のオフライン表で戦後サマータイム（1948〜1951）を反映
+// - それ以外の IANA 名は Intl（Node 同梱の tzdata）で解決
+// - utcOffset は "+05:30" / "-08:00" 形式、または時間数（5.5 等）の固定オフセット
+// - 夏時間の終了で重なる時刻は「先に来る方（夏時間側）」、開始で飛ぶ時刻は「切替前のオフセット」で解釈
+
+const JST_OFFSET_MIN = 9 * 60;
+
+// 日本の夏時間（サマータイム）実施期間
+// start/end は JST（標準時）表記。start の 0:00 に 1:00 へ進め、end の 0:00（= 夏時間 25:00）に戻す
+const JP_DST_PERIODS = [
+  { start: "1948-05-02 00:00", end: "1948-09-12 00:00" },
+  { start: "1949-04-03 00:00", end: "1949-09-11 00:00" },
+  { start: "1950-05-07 00:00", end: "1950-09-10 00:00" },
+  { start: "1951-05-06 00:00", end: "1951-09-09 00:00" },
+].map((p) => ({ startMs: jstStringToMs(p.start), endMs: jstStringToMs(p.end) }));
+
+function jstStringToMs(s) {
+  const [date, time] = s.split(" ");
+  const [y, m, d] = date.split("-").map((n) => parseInt(n, 10));
+  const [hh, mm] = time.split(":").map((n) => parseInt(n, 10));
+  return Date.UTC(y, m - 1, d, hh, mm) - JST_OFFSET_MIN * 60000;
+}
+
+// ---- zone の解決 ----
+export function resolveTimeZone({ country, timeZone, utcOffset } = {}) {
+  if (timeZone) {
+    if (timeZone === "Asia/Tokyo" || timeZone === "Japan") {
+      return { kind: "jp_table", name: "Asia/Tokyo" };
+    }
+    try {
+      new Intl.DateTimeFormat("en-US", { timeZone });
+    } catch {
+      throw new Error(`Invalid birthPlace.timeZone: ${timeZone}`);
+    }
+    return { kind: "iana", name: timeZone };
+  }
+
+  if (utcOffset !== undefined && utcOffset !== null && utcOffset !== "") {
+    const offsetMin = parseUtcOffset(utcOffset);
+    if (offsetMin === null) {
+      throw new Error(`Invalid birthPlace.utcOffset: ${utcOffset} (expected "+HH:MM" or hours)`);
+    }
+    return { kind: "fixed", name: formatUtcOffset(offsetMin), offsetMin };
+  }
+
+  if ((country || "JP") === "JP") return { kind: "jp_table", name: "Asia/Tokyo" };
+
+  throw new Error("birthPlace.timeZone or birthPlace.utcOffset is required for births outside Japan");
+}
+
+function parseUtcOffset(v) {
+  if (typeof v === "number") {
+    return Number.isFinite(v) && Math.abs(v) <= 14 ? Math.round(v * 60) : null;
+  }
+  const m = String(v).trim().match(/^(?:UTC|GMT)?([+-])(\d{1,2})(?::?(\d{2}))?$/i);
+  if (!m) return null;
+  const min = parseInt(m[2], 10) * 60 + parseInt(m[3] || "0", 10);
+  if (min > 14 * 60) return null;
+  return m[1] === "-" ? -min : min;
+}
+
+export function formatUtcOffset(offsetMin) {
+  const sign = offsetMin < 0 ? "-" : "+";
+  const a = Math.abs(offsetMin);
+  return `${sign}${String(Math.floor(a / 60)).padStart(2, "0")}:${String(a % 60).padStart(2, "0")}`;
+}
+
+// ---- 瞬間（UTC）におけるオフセット（分） ----
+function offsetMinAt(zone, ms) {
+  if (zone.kind === "fixed") return zone.offsetMin;
+  if (zone.kind === "jp_table") {
+    const inDst = JP_DST_PERIODS.some((p) => ms >= p.startMs && ms < p.endMs);
+    return inDst ? JST_OFFSET_MIN + 60 : JST_OFFSET_MIN;
+  }
+  return ianaOffsetMin(zone.name, ms);
+}
+
+const DTF_CACHE = new Map();
+
+function ianaOffsetMin(timeZone, ms) {
+  let dtf = DTF_CACHE.get(timeZone);
+  if (!dtf) {
+    dtf = new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    });
+    DTF_CACHE.set(timeZone, dtf);
+  }
+  const p = {};
+  for (const x of dtf.formatToParts(new Date(ms))) p[x.type] = x.value;
+  const asUtc = Date.UTC(+p.year, +p.month - 1, +p.day, +p.hour, +p.minute, +p.second);
+  return Math.round((asUtc - Math.floor(ms / 1000) * 1000) / 60000);
+}
+
+// その年の標準時オフセット（1月/7月の小さい方）。夏時間かどうかの判定用
+function standardOffsetMin(zone, ms) {
+  if (zone.kind === "fixed") return zone.offsetMin;
+  if (zone.kind === "jp_table") return JST_OFFSET_MIN;
+  const y = new Date(ms).getUTCFullYear();
+  return Math.min(ianaOffsetMin(zone.name, Date.UTC(y, 0, 1)), ianaOffsetMin(zone.name, Date.UTC(y, 6, 1)));
+}
+
+// ---- 壁時計 → UTC ----
+export function localPartsToUtc(p, zone) {
+  const wallMs = Date.UTC(p.y, p.m - 1, p.d, p.hh, p.mm, p.ss || 0);
+
+  // 前後半日のオフセットを候補にし、整合する（= 逆変換で同じ壁時計に戻る）ものを採用
+  const candidates = [...new Set([
+    offsetMinAt(zone, wallMs - 12 * 3600000),
+    offsetMinAt(zone, wallMs + 12 * 3600000),
+  ])];
+  const valid = candidates
+    .filter((off) => offsetMinAt(zone, wallMs - off * 60000) === off)
+    .sort((a, b) => b - a); // 大きいオフセット = 先に来る瞬間
+
+  const nonexistent = valid.length === 0;
+  const offsetMin = nonexistent ? candidates[0] : valid[0];
+  const utcMs = wallMs - offsetMin * 60000;
+
+  return {
+    utc: new Date(utcMs),
+    offsetMin,
+    dstApplied: offsetMin > standardOffsetMin(zone, utcMs),
+    ambiguous: valid.length > 1,
+    nonexistent,
+  };
+}
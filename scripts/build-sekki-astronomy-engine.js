@@ -0,0 +1,47 @@
+// scripts/build-sekki-astronomy-engine.js
+// 比較用の節入り時刻表（scripts/sekki-astronomy-engine.json）を作り直す
+//
+// - 1900〜2100年の二十四節気（小寒〜冬至・JST 秒）を、lib/sekki.js とは別実装の
+//   astronomy-engine（SearchSunLongitude：視黄経・章動・光行差・ΔT 込み）でローカルに計算する
+// - 公表された暦表の転記ではない。比較は scripts/compare-sekki-astronomy-engine.js（npm run compare:sekki-astronomy-engine）
+//
+// 使い方：npm install（devDependencies の astronomy-engine）→ node scripts/build-sekki-astronomy-engine.js
+
+import { writeFileSync } from "node:fs";
+import { SearchSunLongitude } from "astronomy-engine";
+import { formatJstSec } from "../lib/sekki.js";
+
+const YEAR_MIN = 1900;
+const YEAR_MAX = 2100;
+
+// 1月の小寒（285°）から暦順に 15° ずつ
+const TERMS = [
+  "小寒", "大寒", "立春", "雨水", "啓蟄", "春分", "清明", "穀雨", "立夏", "小満", "芒種", "夏至",
+  "小暑", "大暑", "立秋", "処暑", "白露", "秋分", "寒露", "霜降", "立冬", "小雪", "大雪", "冬至",
+].map((name, i) => ({ angle: (285 + i * 15) % 360, name }));
+
+const years = {};
+for (let y = YEAR_MIN; y <= YEAR_MAX; y++) {
+  // JST の元日から順に探す（節気の間隔は約15日なので 20 日以内に次が見つかる）
+  let from = new Date(Date.UTC(y, 0, 1) - 9 * 3600 * 1000);
+  years[y] = TERMS.map(({ angle }) => {
+    const t = SearchSunLongitude(angle, from, 20).date;
+    from = new Date(t.getTime() + 86400000);
+    return formatJstSec(t);
+  });
+}
+
+const out = {
+  description: `二十四節気の節入り時刻（JST・秒）${YEAR_MIN}–${YEAR_MAX}。scripts/build-sekki-astronomy-engine.js で astronomy-engine から計算（公表暦表ではない）`,
+  source: "astronomy-engine 2.1.19 SearchSunLongitude (apparent geocentric longitude, ΔT: Espenak–Meeus)",
+  timeZone: "Asia/Tokyo",
+  terms: TERMS,
+  years,
+};
+
+// 節気1つ・1年を1行にして差分を読みやすくする
+const body = JSON.stringify(out, null, 2)
+  .replace(/\{\s+"angle": (\d+),\s+"name": "(.+?)"\s+\}/g, '{ "angle": $1, "name": "$2" }')
+  .replace(/"(\d{4})": \[\s+([^\]]+?)\s+\]/g, (_, y, list) => `"${y}": [${list.split(/,\s+/).join(", ")}]`);
+writeFileSync(new URL("./sekki-astronomy-engine.json", import.meta.url), body + "\n");
+console.log(`wrote scripts/sekki-astronomy-engine.json (${YEAR_MIN}–${YEAR_MAX}, ${TERMS.length} terms/year)`);
@@ -0,0 +1,57 @@
+// scripts/check-reverse-lookup.js
+// 逆引き（/api/reverse-lookup）の往復チェック：12か月それぞれ1日について、
+// 命式（lib/shichusuimei.js）の四柱から逆引きして元の日付・時刻に戻るかを
+// magic_date / sekki_time の両方で確かめる。戻らなければ終了コード 1
+//
+// 使い方：npm run check:reverse-lookup
+
+import handler from "../api/reverse-lookup.js";
+import { calcShichusuimei } from "../lib/shichusuimei.js";
+
+const MODES = ["magic_date", "sekki_time"];
+const TIME = "12:00";
+// 2024年の立春〜翌年の小寒まで、各月の20日（丑月は翌年1月）
+const DATES = [
+  "2024-02-20", "2024-03-20", "2024-04-20", "2024-05-20", "2024-06-20", "2024-07-20",
+  "2024-08-20", "2024-09-20", "2024-10-20", "2024-11-20", "2024-12-20", "2025-01-20",
+];
+
+function callReverseLookup(body) {
+  return new Promise((resolve, reject) => {
+    const res = {
+      setHeader() {},
+      end(b) {
+        resolve(JSON.parse(b));
+      },
+    };
+    handler({ method: "POST", body }, res).catch(reject);
+  });
+}
+
+let failed = false;
+
+for (const sekkiBoundaryMode of MODES) {
+  for (const date of DATES) {
+    const chart = calcShichusuimei({ date, time: TIME, sekkiBoundaryMode });
+    const pillars = Object.fromEntries(
+      ["year", "month", "day", "hour"].map((k) => [k, chart.pillars[k].kan + chart.pillars[k].shi])
+    );
+    const out = await callReverseLookup({
+      pillars,
+      yearRange: { start: 2024, end: 2025 },
+      sekkiBoundaryMode,
+    });
+
+    const at = `${date} ${TIME}:00`;
+    const hit = out.ok && out.candidates.some(
+      (c) => c.date === date && c.windows.some((w) => w.fromJst <= at && at < w.untilJst)
+    );
+    if (!hit) failed = true;
+    console.log(
+      `${hit ? "ok  " : "FAIL"} ${sekkiBoundaryMode} ${date} ${Object.values(pillars).join(" ")} -> ` +
+        (out.ok ? out.candidates.map((c) => c.date).join(", ") || "(none)" : out.error)
+    );
+  }
+}
+
+process.exit(failed ? 1 : 0);
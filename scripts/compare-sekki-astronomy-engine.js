@@ -0,0 +1,95 @@
+// scripts/compare-sekki-astronomy-engine.js
+// 節入り時刻（lib/sekki.js）を別の天体暦ライブラリ astronomy-engine の計算値と突き合わせ、
+// 差が上限を超えたら終了コード 1 で落とす
+//
+// 比較相手：
+// - scripts/sekki-astronomy-engine.json：1900〜2100年の二十四節気を astronomy-engine で計算したもの（JST・秒）
+//   公表された暦表ではなく、別実装どうしの比較（両者に共通する誤差は検出できない）
+// - NAOJ_KOYOMI：国立天文台『暦要項』の節入り時刻（JST・分）。公表値との照合はこの25件のスポットチェックのみ
+//
+// 上限：
+// - vsop87：astronomy-engine との差 60秒以内、暦要項とは 1分以内
+// - noaa：astronomy-engine との差 15分以内（章動・光行差が簡易式で ΔT も無視するための既知のずれ）
+//
+// 使い方：npm run compare:sekki-astronomy-engine
+
+import { readFileSync } from "node:fs";
+import { buildJie24Utc, formatJstSec } from "../lib/sekki.js";
+
+const MAX_DIFF_SEC = { vsop87: 60, noaa: 15 * 60 };
+const NAOJ_MAX_DIFF_SEC = 60;
+
+const NAOJ_KOYOMI = {
+  2000: { 春分: "03-20 16:35", 夏至: "06-21 10:48", 秋分: "09-23 02:28", 冬至: "12-21 22:37" },
+  2024: {
+    小寒: "01-06 05:49",
+    立春: "02-04 17:27",
+    啓蟄: "03-05 11:23",
+    春分: "03-20 12:06",
+    清明: "04-04 16:02",
+    立夏: "05-05 09:10",
+    芒種: "06-05 13:10",
+    夏至: "06-21 05:51",
+    小暑: "07-06 23:20",
+    立秋: "08-07 09:09",
+    白露: "09-07 12:11",
+    秋分: "09-22 21:44",
+    寒露: "10-08 04:00",
+    立冬: "11-07 07:20",
+    大雪: "12-07 00:17",
+    冬至: "12-21 18:21",
+  },
+  2025: { 立春: "02-03 23:10", 春分: "03-20 18:01", 夏至: "06-21 11:42", 秋分: "09-23 03:19", 冬至: "12-22 00:03" },
+};
+
+const reference = JSON.parse(readFileSync(new URL("./sekki-astronomy-engine.json", import.meta.url), "utf8"));
+const jstMs = (s) => Date.parse(`${s.replace(" ", "T")}+09:00`);
+
+// buildJie24Utc(year) は年の前後にはみ出すことがあるので、前後年と合わせて JST の年で引く
+function jieOfJstYear(year, ephemeris) {
+  const all = [year - 1, year, year + 1].flatMap((y) => buildJie24Utc(y, { ephemeris }));
+  const byName = new Map();
+  for (const j of all) if (formatJstSec(j.timeUtc).startsWith(`${year}-`)) byName.set(j.name, j);
+  return byName;
+}
+
+let failed = false;
+
+// ---- astronomy-engine（1900〜2100） ----
+for (const ephemeris of Object.keys(MAX_DIFF_SEC)) {
+  let worst = { diffSec: 0 };
+  let count = 0;
+  for (const [year, times] of Object.entries(reference.years)) {
+    const jie = jieOfJstYear(Number(year), ephemeris);
+    reference.terms.forEach(({ name }, i) => {
+      const got = jie.get(name);
+      const diffSec = (got.timeUtc.getTime() - jstMs(times[i])) / 1000;
+      if (Math.abs(diffSec) > Math.abs(worst.diffSec)) {
+        worst = { year, name, diffSec, got: formatJstSec(got.timeUtc), ref: times[i] };
+      }
+      count++;
+    });
+  }
+  const ok = Math.abs(worst.diffSec) <= MAX_DIFF_SEC[ephemeris];
+  if (!ok) failed = true;
+  console.log(
+    `${ok ? "ok  " : "FAIL"} ${ephemeris} vs astronomy-engine: ${count} terms, max |diff| ${Math.abs(worst.diffSec).toFixed(1)}s ` +
+      `(limit ${MAX_DIFF_SEC[ephemeris]}s; ${worst.year} ${worst.name} ${worst.got} vs ${worst.ref})`
+  );
+}
+
+// ---- 暦要項スポットチェック（分単位なので、計算値を分に丸めて比べる） ----
+for (const [year, terms] of Object.entries(NAOJ_KOYOMI)) {
+  const jie = jieOfJstYear(Number(year), "vsop87");
+  for (const [name, mmddhhmm] of Object.entries(terms)) {
+    const got = jie.get(name).timeUtc.getTime();
+    const diffSec = (Math.round(got / 60000) * 60000 - jstMs(`${year}-${mmddhhmm}:00`)) / 1000;
+    if (Math.abs(diffSec) > NAOJ_MAX_DIFF_SEC) {
+      failed = true;
+      console.log(`FAIL vsop87 vs 暦要項: ${year} ${name} ${formatJstSec(new Date(got))} vs ${mmddhhmm}`);
+    }
+  }
+}
+if (!failed) console.log(`ok   vsop87 vs 暦要項: within ${NAOJ_MAX_DIFF_SEC}s (minute-rounded)`);
+
+process.exit(failed ? 1 : 0);